@@ -0,0 +1,103 @@
+const http = require('http')
+const crypto = require('crypto')
+
+// Небольшой JSON HTTP-сервер без зависимостей: GET-маршруты с параметрами вида /wallets/:address
+// и проверка токена (Authorization: Bearer <token>).
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+function tokensEqual(expected, actual) {
+  const a = Buffer.from(String(expected))
+  const b = Buffer.from(String(actual || ''))
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+function compilePath(pattern) {
+  const names = []
+  const source = pattern
+    .split('/')
+    .map(part => {
+      if (!part.startsWith(':')) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      names.push(part.slice(1))
+      return '([^/]+)'
+    })
+    .join('/')
+  return { regex: new RegExp(`^${source}/?$`), names }
+}
+
+function createHttpServer({ port, host = '127.0.0.1', token = null }) {
+  const routes = []
+  let server = null
+
+  function send(res, status, body, contentType = 'application/json') {
+    const payload = contentType === 'application/json' ? JSON.stringify(body) : String(body)
+    res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' })
+    res.end(payload)
+  }
+
+  function isAuthorized(req) {
+    if (!token) return false
+    const header = req.headers.authorization || ''
+    const match = /^Bearer\s+(.+)$/i.exec(header)
+    return Boolean(match) && tokensEqual(token, match[1].trim())
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost')
+    if (req.method !== 'GET') return send(res, 405, { error: 'Method not allowed' })
+
+    for (const route of routes) {
+      const match = route.regex.exec(url.pathname)
+      if (!match) continue
+
+      if (route.auth && !isAuthorized(req)) return send(res, 401, { error: 'Unauthorized' })
+
+      const params = {}
+      route.names.forEach((name, index) => {
+        try {
+          params[name] = decodeURIComponent(match[index + 1])
+        } catch {
+          throw new HttpError(400, `Malformed ${name} in path`)
+        }
+      })
+      const query = Object.fromEntries(url.searchParams)
+
+      const result = await route.handler({ params, query, req })
+      // обработчик может вернуть готовый текст (например, метрики) вместо JSON
+      if (result && result.contentType) return send(res, 200, result.body, result.contentType)
+      return send(res, 200, result)
+    }
+
+    return send(res, 404, { error: 'Not found' })
+  }
+
+  return {
+    // handler({ params, query, req }) -> JSON-объект или { contentType, body }
+    route(pattern, handler, { auth = true } = {}) {
+      routes.push({ ...compilePath(pattern), handler, auth })
+    },
+
+    start() {
+      server = http.createServer((req, res) => {
+        handle(req, res).catch(error => {
+          if (error instanceof HttpError) return send(res, error.status, { error: error.message })
+          console.error('⚠️ HTTP API error:', error)
+          send(res, 500, { error: 'Internal error' })
+        })
+      })
+      server.listen(port, host, () => console.log(`🌐 HTTP API listening on http://${host}:${port}`))
+      return server
+    },
+
+    stop() {
+      if (server) server.close()
+      server = null
+    }
+  }
+}
+
+module.exports = { createHttpServer, HttpError }
@@ -1,15 +1,28 @@
 require('dotenv').config()
 const fetch = require('node-fetch')
-const { Telegraf } = require('telegraf')
+const { Telegraf, Markup } = require('telegraf')
 const fs = require('fs')
 const { toChecksumAddress } = require('web3-utils')
 const path = require('path')
-const { getCandles } = require('./tgcharts/candles')
-const { renderChart } = require('./tgcharts/render')
+const { getCandles, getLighterCandles } = require('./tgcharts/candles')
+const { renderChart, renderEquityChart, closeRenderer } = require('./tgcharts/render')
+const { parseOverlayTokens } = require('./tgcharts/overlays')
+const { createAccountStream } = require('./stream')
+const pnl = require('./pnl')
+const { openStorage } = require('./storage')
+const { createMarketRegistry } = require('./markets')
+const { createWebhookDispatcher, checkWebhookUrl } = require('./webhooks')
+const { createHttpServer, HttpError } = require('./api')
+const { createMetrics } = require('./metrics')
+const { parseArgs, resolveWallet, formatUsage } = require('./commands')
 
 const BOT_TOKEN = process.env.BOT_TOKEN
 const API_URL_BASE = "https://mainnet.zklighter.elliot.ai/api/v1/account?by=l1_address&value="
 const CANDLE_API = "https://mainnet.zklighter.elliot.ai/api/v1/candlesticks"
+const TRADES_API = "https://mainnet.zklighter.elliot.ai/api/v1/trades"
+const MARKETS_API = "https://mainnet.zklighter.elliot.ai/api/v1/orderBooks"
+const FUNDING_API = "https://mainnet.zklighter.elliot.ai/api/v1/positionFunding"
+const ORDERS_API = "https://mainnet.zklighter.elliot.ai/api/v1/accountActiveOrders"
 
 // Конфигурация для устойчивости к нагрузкам
 const CONFIG = {
@@ -20,26 +33,127 @@ const CONFIG = {
   RETRY_ATTEMPTS: 3,
   RETRY_DELAY: 2000, // 2 секунды между ретраями
   RATE_LIMIT_PER_USER: 30, // команд в минуту на пользователя
-  CACHE_DURATION: 30000 // 30 секунд кеш для API запросов
+  CACHE_DURATION: 30000, // 30 секунд кеш для API запросов
+  FILLS_PAGE_SIZE: 100,
+  FILLS_MAX_PAGES: 5, // не больше 500 сделок за одну синхронизацию
+  FUNDING_PAGE_SIZE: 100,
+  FUNDING_MAX_PAGES: 5,
+  FUNDING_SYNC_INTERVAL: 15 * 60 * 1000, // funding начисляется раз в час — чаще спрашивать незачем
+  FEE_RATE_SCALE: 1e6, // maker_fee/taker_fee в сделках Lighter — в миллионных долях
+  PNL_METHOD: process.env.PNL_METHOD || 'fifo', // fifo | average
+  MARKETS_REFRESH_INTERVAL: 10 * 60 * 1000, // обновляем список рынков раз в 10 минут
+  BALANCE_HISTORY_STEP: 10 * 60 * 1000, // не чаще одной точки баланса в 10 минут
+  BALANCE_HISTORY_LIMIT: 5000, // ~30 дней при шаге 10 минут
+  EQUITY_MIN_DRAWDOWN: 1, // на графике /equity отмечаем просадки от 1%
+  // Админы: ADMIN_IDS=123,456 (Telegram user id)
+  ADMIN_IDS: (process.env.ADMIN_IDS || '').split(',').map(id => parseInt(id.trim())).filter(Number.isInteger),
+  BROADCAST_DELAY: 50, // ~20 сообщений в секунду, ниже лимита Telegram
+  ACTIVITY_WRITE_INTERVAL: 60000, // активность пользователя пишем в базу не чаще раза в минуту
+  LIST_PAGE_SIZE: 8, // кошельков на странице /list
+  MAX_WEBHOOKS_PER_USER: 3,
+  MAX_GROUPS_PER_USER: 10,
+  MAX_LABEL_LENGTH: 64,
+  LEADERBOARD_SIZE: 20, // строк в /leaderboard
+  MESSAGE_LIMIT: 4096, // максимальная длина сообщения Telegram
+  WEBHOOK_LOG_RETENTION: 7 * 24 * 60 * 60 * 1000, // журнал доставок храним неделю
+  // WEBHOOK_ALLOW_PRIVATE=1 — разрешить http и локальные/внутренние адреса (только для разработки)
+  WEBHOOK_ALLOW_PRIVATE: process.env.WEBHOOK_ALLOW_PRIVATE === '1',
+  // Источник свечей для уведомлений: lighter или биржа velo.xyz (например binance-futures)
+  CHART_SOURCE: process.env.CHART_SOURCE || 'lighter',
+  // Внешняя биржа, если у Lighter нет свечей; по умолчанию без запасного источника
+  CHART_FALLBACK_EXCHANGE: process.env.CHART_FALLBACK_EXCHANGE || null,
+  // Что рисовать поверх графика уведомления: ema20, sma50, vwap, novol (без объема),
+  // liq (ликвидация), mark, tpsl (take-profit/stop-loss ордера позиции)
+  CHART_OVERLAYS: process.env.CHART_OVERLAYS ?? 'liq mark tpsl',
+  // HTTP-сервер (JSON API и /metrics) включается, если заданы API_PORT и API_TOKEN
+  API_PORT: Number(process.env.API_PORT) || null,
+  API_HOST: process.env.API_HOST || '127.0.0.1',
+  API_TOKEN: process.env.API_TOKEN || null,
+  API_PAGE_SIZE: 100,
+  API_MAX_PAGE_SIZE: 1000,
+  USE_STREAM: process.env.LIGHTER_STREAM !== '0', // LIGHTER_STREAM=0 — только поллинг
+  STREAM_URL: process.env.LIGHTER_WS_URL || 'wss://mainnet.zklighter.elliot.ai/stream'
 }
 
+// Prometheus-метрики, отдаются на /metrics HTTP-сервера
+const metrics = createMetrics()
+
 const bot = new Telegraf(BOT_TOKEN)
+
+// Все запросы к Telegram проходят через callApi — считаем отправки для метрик.
+// Оборачиваем только клиенты этого бота: bot.telegram и экземпляр, который Telegraf
+// создает для каждого апдейта (ctx.reply), — другие экземпляры Telegram в процессе не трогаем
+function instrumentTelegram(telegram) {
+  const callApi = telegram.callApi.bind(telegram)
+  telegram.callApi = async (method, ...args) => {
+    if (!method.startsWith('send')) return callApi(method, ...args)
+    try {
+      const result = await callApi(method, ...args)
+      metrics.telegramSend(method, true)
+      return result
+    } catch (error) {
+      metrics.telegramSend(method, false)
+      throw error
+    }
+  }
+}
+
+instrumentTelegram(bot.telegram)
+bot.use((ctx, next) => {
+  if (ctx.telegram !== bot.telegram) instrumentTelegram(ctx.telegram)
+  return next()
+})
+
 bot.telegram.setMyCommands([
   { command: 'start', description: 'Menu and help' },
+  { command: 'help', description: 'Usage and examples for a command' },
   { command: 'add', description: 'Add address with optional label (max 5)' },
   { command: 'delete', description: 'Remove address from tracking' },
   { command: 'list', description: 'Show all your tracked addresses' },
   { command: 'check', description: 'Show positions for address or label' },
+  { command: 'portfolio', description: 'Combined positions and exposure across your wallets' },
+  { command: 'group', description: 'Wallet groups for combined check and PnL' },
   { command: 'pnl', description: 'Show PnL statistics for address or label' },
   { command: 'trades', description: 'Show recent trade history for address or label' },
-  { command: 'export', description: 'Export PnL data to CSV format' }
+  { command: 'export', description: 'Export PnL data to CSV format' },
+  { command: 'equity', description: 'Equity curve chart for address or label' },
+  { command: 'leaderboard', description: 'Rank your wallets by PnL, return, win rate' },
+  { command: 'filter', description: 'Notification filters for a wallet' },
+  { command: 'mute', description: 'Mute a wallet, optionally for a duration' },
+  { command: 'unmute', description: 'Unmute a wallet and get the digest' },
+  { command: 'quiet', description: 'Set quiet hours in your timezone' },
+  { command: 'webhook', description: 'Signed webhooks for position events' },
+  { command: 'importlist', description: 'Import wallets from a CSV or JSON file' },
+  { command: 'exportlist', description: 'Export your watchlist as CSV or JSON' },
+  { command: 'market', description: 'Show Lighter market info for a symbol' }
 ])
 
+const DB_FILE = process.env.DB_FILE || './lighter.db'
+
+// Старые JSON-файлы: читаются только разово при переносе в SQLite
 const STATE_FILE = './state.json'
 const WATCHLIST_FILE = './watchlist.json'
 const RATE_LIMIT_FILE = './rate_limits.json'
 const WHITELIST_FILE = './whitelist.json'
 const PNL_FILE = './pnl_tracking.json'
+const FILTERS_FILE = './filters.json'
+const MUTES_FILE = './mutes.json'
+
+const storage = openStorage(DB_FILE)
+if (storage.importJsonFiles({
+  state: STATE_FILE,
+  watchlist: WATCHLIST_FILE,
+  rateLimits: RATE_LIMIT_FILE,
+  whitelist: WHITELIST_FILE,
+  pnl: PNL_FILE,
+  filters: FILTERS_FILE,
+  mutes: MUTES_FILE
+})) {
+  console.log(`🗄️ Imported JSON data into ${DB_FILE}`)
+}
+
+// Исходящие вебхуки пользователей (см. /webhook)
+const webhooks = createWebhookDispatcher({ storage, fetch, allowPrivateTargets: CONFIG.WEBHOOK_ALLOW_PRIVATE })
 
 // Кеш для API запросов
 const cache = new Map()
@@ -47,9 +161,20 @@ const cache = new Map()
 let activeRequests = 0
 const requestQueue = []
 
+metrics.gauge('api_request_queue_depth', 'Requests waiting for a fetchWithRetry slot', () => requestQueue.length)
+metrics.gauge('api_active_requests', 'fetchWithRetry requests in flight', () => activeRequests)
+metrics.gauge('api_cache_entries', 'Entries in the fetchWithRetry cache', () => cache.size)
+
 // Rate limiting
 const rateLimits = new Map()
 
+// Реестр рынков Lighter (symbol <-> market_id, точность)
+const markets = createMarketRegistry({
+  fetchJson: url => fetchWithRetry(url),
+  url: MARKETS_API,
+  refreshInterval: CONFIG.MARKETS_REFRESH_INTERVAL
+})
+
 // Храним события покупок/продаж отдельно для каждого кошелька
 // Структура: { address: { symbol: [events] } }
 const tradeEventsByWallet = {}
@@ -63,11 +188,23 @@ const tradeEventsByWallet = {}
 //   startTime: number,
 //   initialBalance: number,
 //   lastBalance: number,
-//   tradeHistory: [{ symbol, side, size, entryPrice, exitPrice, pnl, timestamp }],
-//   balanceHistory: [{ balance, timestamp }]
+//   tradeHistory: [{ tradeId, symbol, side, fillSide, size, price, entryPrice, exitPrice, pnl, fee, timestamp, type }],
+//   balanceHistory: [{ balance, unrealizedPnL, timestamp }],
+//   ledger: { method, books }, // лоты по символам, см. pnl.js
+//   closedLots: [{ symbol, side, size, entryPrice, exitPrice, pnl, openedAt, closedAt }],
+//   lastTradeId: number | null, // последний учтенный fill из Lighter
+//   fees: { total, bySymbol: { symbol: amount } }, // уплаченные комиссии (положительное число)
+//   funding: { total, bySymbol: { symbol: amount } }, // funding: + получили, - заплатили
+//   fundingHistory: [{ fundingId, symbol, amount, rate, positionSize, side, timestamp }],
+//   lastFundingTime: number | null, // последнее учтенное начисление funding
+//   lastFundingSync: number | null,
+//   historyGaps: [{ type: 'fills' | 'funding', timestamp }] // синки, упершиеся в лимит страниц
 // } }
 const walletPnL = {}
 
+// market_id -> symbol по позициям аккаунтов — запасной вариант, если реестр рынков недоступен
+const marketSymbols = new Map()
+
 function normalizeSymbol(raw, exch) {
   raw = raw.toUpperCase()
   if (exch.startsWith('hyperliquid')) {
@@ -76,6 +213,40 @@ function normalizeSymbol(raw, exch) {
   return raw.endsWith('USDT') ? raw : raw + 'USDT'
 }
 
+// Метки и имена групп задают пользователи — в сообщениях с parse_mode HTML экранируем
+function escapeHtml(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+// Собираем сообщение из блоков, пока оно укладывается в лимит Telegram;
+// не поместившиеся блоки заменяем строкой more(count)
+function fitMessage(head, blocks, more, limit = CONFIG.MESSAGE_LIMIT) {
+  const full = head + blocks.join('')
+  if (full.length <= limit) return full
+
+  const reserve = more(blocks.length).length
+  let message = head
+  let shown = 0
+  for (const block of blocks) {
+    if (message.length + block.length + reserve > limit) break
+    message += block
+    shown++
+  }
+  return message + more(blocks.length - shown)
+}
+
+// Длинные метки в списках и рейтингах обрезаем
+function truncateLabel(label, max = 32) {
+  const text = String(label ?? '')
+  return text.length > max ? text.slice(0, max - 1) + '…' : text
+}
+
+// Первые limit меток списка через запятую, остальные — счетчиком
+function formatLabelList(labels, limit = 10) {
+  const shown = labels.slice(0, limit).map(escapeHtml).join(', ')
+  return labels.length > limit ? `${shown} +${labels.length - limit} more` : shown
+}
+
 function safeToChecksumAddress(input) {
   try {
     return toChecksumAddress(input)
@@ -84,6 +255,15 @@ function safeToChecksumAddress(input) {
   }
 }
 
+// Цены и размеры с точностью рынка из реестра
+function formatPrice(pos, value) {
+  return markets.formatPrice(pos.market_id ?? pos.symbol, value)
+}
+
+function formatSize(pos, value) {
+  return markets.formatSize(pos.market_id ?? pos.symbol, value)
+}
+
 function formatSideEmoji(sign) {
   return sign === 1 ? '📗' : '📕'
 }
@@ -94,6 +274,63 @@ function calculatePnLPercentage(pnl, entryPrice, position) {
   return (pnl / positionValue) * 100
 }
 
+const TRADE_TYPE_LABELS = {
+  open: 'Open',
+  increase: 'Increase',
+  partial_close: 'Partial Close',
+  close: 'Close',
+  flip: 'Flip'
+}
+
+// Сделки, которые реализуют PnL
+function isClosingTrade(trade) {
+  return trade.type === 'close' || trade.type === 'partial_close' || trade.type === 'flip'
+}
+
+// Сторона исполнения сделки; старые записи без fillSide восстанавливаем по типу
+function getFillSide(trade) {
+  if (trade.fillSide) return trade.fillSide
+  const isClosing = isClosingTrade(trade)
+  return (trade.side === 'LONG') !== isClosing ? 'buy' : 'sell'
+}
+
+function getFillPrice(trade) {
+  return trade.price ?? trade.exitPrice ?? trade.entryPrice
+}
+
+// Свечи для уведомлений идут через общий fetchWithRetry (таймаут, метрики): их ждет цепочка
+// обновлений кошелька. Один повтор — лучше быстрее отправить уведомление без графика
+const fetchCandles = url => fetchWithRetry(url, { noCache: true }, 1)
+
+// Свечи внешней биржи через velo.xyz
+async function getExternalCandles(sym, exchange) {
+  const ticker = normalizeSymbol(sym, exchange)
+  const candles = await getCandles(ticker, 5, exchange, fetchCandles)
+  return { candles, ticker, exchange: exchange.replace(/-/g, ' ').toUpperCase() }
+}
+
+// Индикаторы для графиков уведомлений; liq и mark — линии по данным самой позиции
+const { overlays: NOTIFICATION_OVERLAYS, rest: notificationLineTokens } =
+  parseOverlayTokens(CONFIG.CHART_OVERLAYS.split(/[\s,]+/))
+const NOTIFICATION_LINES = new Set(notificationLineTokens.map(token => token.toLowerCase()))
+
+// Свечи для графика уведомления: по умолчанию с самого Lighter,
+// внешняя биржа — только если так настроено
+async function getNotificationCandles(sym, pos) {
+  if (CONFIG.CHART_SOURCE !== 'lighter') {
+    return getExternalCandles(sym, CONFIG.CHART_SOURCE)
+  }
+
+  try {
+    const candles = await getLighterCandles(pos.market_id, '5m', 100, fetchCandles)
+    return { candles, ticker: sym, exchange: 'LIGHTER' }
+  } catch (error) {
+    if (!CONFIG.CHART_FALLBACK_EXCHANGE) throw error
+    console.log(`No Lighter candles for ${sym} (${error.message}), falling back to ${CONFIG.CHART_FALLBACK_EXCHANGE}`)
+    return getExternalCandles(sym, CONFIG.CHART_FALLBACK_EXCHANGE)
+  }
+}
+
 // Функция для получения событий конкретного кошелька и символа
 function getWalletEvents(address, symbol) {
   if (!tradeEventsByWallet[address]) {
@@ -135,6 +372,11 @@ function getTradeTypeForChart(oldPos, newPos, symbol) {
     return oldPos.sign === 1 ? 'sell' : 'buy'
   }
   
+  // Разворот LONG <-> SHORT: итоговая операция в сторону новой позиции
+  if (oldPos && newPos && oldPos.sign !== newPos.sign) {
+    return newPos.sign === 1 ? 'buy' : 'sell'
+  }
+  
   // Если позиция изменилась по размеру
   if (oldPos && newPos && oldPos.position !== newPos.position) {
     const oldSize = oldPos.position
@@ -156,50 +398,31 @@ function getTradeTypeForChart(oldPos, newPos, symbol) {
 }
 
 function loadState() {
-  try {
-    return JSON.parse(fs.readFileSync(STATE_FILE))
-  } catch {
-    return {}
-  }
+  return storage.loadStates()
 }
 
-function saveState(state) {
+// Состояние одного кошелька; пропавшее из previousStates удаляем из базы
+function saveState(address) {
   try {
-    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2))
+    if (previousStates[address]) storage.saveState(address, previousStates[address])
+    else storage.removeState(address)
   } catch (error) {
     console.error('Error saving state:', error)
   }
 }
 
 function loadWatchlist() {
-  try {
-    const data = JSON.parse(fs.readFileSync(WATCHLIST_FILE))
-    // Убеждаемся что данные в правильном формате: userId -> {address -> label}
-    return typeof data === 'object' && data !== null ? data : {}
-  } catch {
-    return {}
-  }
-}
-
-function saveWatchlist(watchlist) {
-  try {
-    fs.writeFileSync(WATCHLIST_FILE, JSON.stringify(watchlist, null, 2))
-  } catch (error) {
-    console.error('Error saving watchlist:', error)
-  }
+  // Формат: userId -> {address -> label}
+  return storage.loadWatchlist()
 }
 
 function loadRateLimits() {
-  try {
-    return JSON.parse(fs.readFileSync(RATE_LIMIT_FILE))
-  } catch {
-    return {}
-  }
+  return storage.loadRateLimits()
 }
 
 function saveRateLimits(limits) {
   try {
-    fs.writeFileSync(RATE_LIMIT_FILE, JSON.stringify(limits, null, 2))
+    storage.saveRateLimits(limits)
   } catch (error) {
     console.error('Error saving rate limits:', error)
   }
@@ -207,36 +430,298 @@ function saveRateLimits(limits) {
 
 // Тихая проверка whitelist
 function loadWhitelist() {
+  return storage.loadWhitelist()
+}
+
+function syncWhitelistFile() {
   try {
     const data = JSON.parse(fs.readFileSync(WHITELIST_FILE))
-    return Array.isArray(data) ? data : []
+    if (Array.isArray(data)) storage.addToWhitelist(data.filter(Number.isInteger))
   } catch {
-    // Создаем пустой файл whitelist.json если его нет
-    const emptyWhitelist = []
-    try {
-      fs.writeFileSync(WHITELIST_FILE, JSON.stringify(emptyWhitelist, null, 2))
-    } catch (error) {
-      console.error('Error creating whitelist file:', error)
-    }
-    return emptyWhitelist
+    // файла нет — whitelist хранится только в базе
+  }
+}
+
+// После /admin whitelist файл переписываем из базы, иначе при перезапуске
+// syncWhitelistFile вернет удаленные ID обратно
+function saveWhitelistFile() {
+  if (!fs.existsSync(WHITELIST_FILE)) return
+  try {
+    fs.writeFileSync(WHITELIST_FILE, JSON.stringify(loadWhitelist(), null, 2))
+  } catch (error) {
+    console.error('Error saving whitelist file:', error)
   }
 }
 
 // Функции для работы с PnL кошельков
 function loadWalletPnL() {
+  return storage.loadWalletPnL()
+}
+
+// PnL меняется на каждом снимке, поэтому пишем его не сразу, а раз в минуту —
+// и только кошельки, отмеченные markPnLChanged
+const changedPnL = new Set()
+
+function markPnLChanged(address) {
+  changedPnL.add(address)
+}
+
+function saveWalletPnL() {
+  changedPnL.forEach(address => {
+    try {
+      if (walletPnL[address]) storage.saveWalletPnL(address, walletPnL[address])
+      else storage.removeWalletPnL(address)
+      changedPnL.delete(address)
+    } catch (error) {
+      console.error(`Error saving wallet PnL for ${address}:`, error)
+    }
+  })
+}
+
+// Фильтры уведомлений: userId -> { address -> filter }
+function loadFilters() {
+  return storage.loadFilters()
+}
+
+function saveWalletFilter(userId, address, filter) {
   try {
-    const data = JSON.parse(fs.readFileSync(PNL_FILE))
-    return typeof data === 'object' && data !== null ? data : {}
-  } catch {
-    return {}
+    storage.setFilter(userId, address, filter)
+  } catch (error) {
+    console.error('Error saving filters:', error)
   }
 }
 
-function saveWalletPnL(pnlData) {
+// Названия событий в команде /filter -> типы событий comparePositions
+const FILTER_EVENT_TYPES = {
+  open: 'opened',
+  close: 'closed',
+  increase: 'increased',
+  reduce: 'reduced',
+  flip: 'flipped'
+}
+
+const DEFAULT_FILTER = {
+  minNotional: 0, // минимальное изменение в USD
+  minChangePct: 0, // минимальное изменение размера в %
+  include: [], // пусто — все символы
+  exclude: [],
+  events: Object.values(FILTER_EVENT_TYPES)
+}
+
+// filters — уже загруженные фильтры, чтобы не читать базу на каждое событие
+function getWalletFilter(userId, address, filters = loadFilters()) {
+  return { ...DEFAULT_FILTER, ...(filters[userId]?.[address] || {}) }
+}
+
+// Изменение позиции в USD и в процентах от прежнего размера
+function measurePositionChange(event) {
+  const { type, oldPos, newPos } = event
+  const pos = newPos || oldPos
+  const price = pos.mark_price || pos.avg_entry_price || 0
+  const oldSize = oldPos?.position || 0
+  const newSize = newPos?.position || 0
+
+  // при развороте проторгован весь старый размер и весь новый
+  const sizeChange = type === 'flipped' ? oldSize + newSize : Math.abs(newSize - oldSize)
+  const changePct = oldSize > 0 && type !== 'flipped' ? sizeChange / oldSize * 100 : 100
+
+  return { notional: sizeChange * price, changePct }
+}
+
+function passesFilter(filter, event) {
+  if (!filter.events.includes(event.type)) return false
+  if (filter.include.length > 0 && !filter.include.includes(event.symbol)) return false
+  if (filter.exclude.includes(event.symbol)) return false
+
+  const { notional, changePct } = measurePositionChange(event)
+  if (notional < filter.minNotional) return false
+  if (changePct < filter.minChangePct) return false
+  return true
+}
+
+function formatFilter(filter) {
+  const eventNames = Object.entries(FILTER_EVENT_TYPES)
+    .filter(([, type]) => filter.events.includes(type))
+    .map(([name]) => name)
+
+  return `<b>Min change:</b> <code>$${filter.minNotional}</code>\n` +
+    `<b>Min size change:</b> <code>${filter.minChangePct}%</code>\n` +
+    `<b>Symbols:</b> <code>${filter.include.length ? filter.include.join(', ') : 'all'}</code>\n` +
+    `<b>Excluded:</b> <code>${filter.exclude.length ? filter.exclude.join(', ') : 'none'}</code>\n` +
+    `<b>Events:</b> <code>${eventNames.length ? eventNames.join(', ') : 'none'}</code>`
+}
+
+// Муты и тихие часы: userId -> {
+//   wallets: { address: { until: timestamp | null } }, // null — до /unmute
+//   quiet: { start: minutes, end: minutes, tz } | null,
+//   queue: [{ address, label, summary, timestamp }] // события для дайджеста
+// }
+function loadMutes() {
+  return storage.loadMutes()
+}
+
+// Меняет муты одного пользователя: update получает его запись и правит ее на месте,
+// результат update возвращается вызывающему
+function updateUserMutes(userId, update) {
+  let result
   try {
-    fs.writeFileSync(PNL_FILE, JSON.stringify(pnlData, null, 2))
+    storage.updateMutes(userId, data => {
+      const userMutes = data || { wallets: {}, quiet: null, queue: [] }
+      result = update(userMutes)
+      return userMutes
+    })
   } catch (error) {
-    console.error('Error saving wallet PnL:', error)
+    console.error('Error saving mutes:', error)
+  }
+  return result
+}
+
+// "30m", "2h", "1d", "1w" -> миллисекунды
+function parseDuration(input) {
+  const match = /^(\d+)([mhdw])$/i.exec(input || '')
+  if (!match) return null
+  const unit = { m: 60000, h: 3600000, d: 86400000, w: 604800000 }[match[2].toLowerCase()]
+  return parseInt(match[1]) * unit
+}
+
+// "23:00" -> минуты от начала суток
+function parseClock(input) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(input || '')
+  if (!match) return null
+  const hours = parseInt(match[1])
+  const minutes = parseInt(match[2])
+  if (hours > 23 || minutes > 59) return null
+  return hours * 60 + minutes
+}
+
+function formatClock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+}
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz })
+    return true
+  } catch {
+    return false
+  }
+}
+
+function isQuietTime(quiet, now = new Date()) {
+  if (!quiet) return false
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: quiet.tz,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now)
+  const hour = parseInt(parts.find(p => p.type === 'hour').value)
+  const minute = parseInt(parts.find(p => p.type === 'minute').value)
+  const current = hour * 60 + minute
+
+  // интервал может переходить через полночь (23:00-07:00)
+  return quiet.start <= quiet.end
+    ? current >= quiet.start && current < quiet.end
+    : current >= quiet.start || current < quiet.end
+}
+
+function isWalletMuted(userMutes, address, now = Date.now()) {
+  const mute = userMutes?.wallets?.[address]
+  if (!mute) return false
+  return mute.until === null || mute.until > now
+}
+
+// Пока кошелек в муте или идут тихие часы, события копим для дайджеста:
+// возвращает причину ('muted' | 'quiet') или null
+function getHoldReason(userId, address) {
+  const userMutes = loadMutes()[userId]
+  if (isWalletMuted(userMutes, address)) return 'muted'
+  if (isQuietTime(userMutes?.quiet)) return 'quiet'
+  return null
+}
+
+function queueNotification(userId, address, label, summary, reason) {
+  updateUserMutes(userId, userMutes => {
+    userMutes.queue.push({ address, label, summary, reason, timestamp: Date.now() })
+    // не даем очереди расти бесконечно
+    if (userMutes.queue.length > 500) userMutes.queue = userMutes.queue.slice(-500)
+  })
+}
+
+function formatMuteState(mute) {
+  if (!mute) return ''
+  if (mute.until === null) return '🔇 muted'
+  return `🔇 muted until ${new Date(mute.until).toISOString().replace('T', ' ').slice(0, 16)} UTC`
+}
+
+// Короткое описание события для дайджеста
+function formatEventSummary(event) {
+  const pos = event.newPos || event.oldPos
+  const side = pos.sign === 1 ? 'LONG' : 'SHORT'
+  const titles = {
+    opened: '✅ OPENED',
+    closed: '❌ CLOSED',
+    increased: '📈 INCREASED',
+    reduced: '📉 REDUCED',
+    flipped: '🔃 FLIPPED'
+  }
+  const size = event.oldPos && event.newPos
+    ? `${formatSize(event.oldPos, event.oldPos.position)} → ${formatSize(event.newPos, event.newPos.position)}`
+    : `${formatSize(pos, pos.position)}`
+  return `${titles[event.type] || '🔄 UPDATED'} <b>${event.symbol}</b> ${side} <code>${size}</code>`
+}
+
+// Элементы очереди сравниваем по содержимому: между чтением и записью очередь перечитывается
+function isSameQueueItem(a, b) {
+  return a.address === b.address && a.timestamp === b.timestamp && a.summary === b.summary
+}
+
+// Заголовок дайджеста по причинам, из-за которых события были отложены
+function formatDigestReason(items) {
+  const reasons = new Set(items.map(item => item.reason === 'quiet' ? 'quiet' : 'muted'))
+  if (reasons.size > 1) return 'while muted or during quiet hours'
+  return reasons.has('quiet') ? 'during quiet hours' : 'while muted'
+}
+
+// Отправляем накопленные события одним сообщением, если мут или тихие часы закончились
+async function deliverDigests() {
+  const mutes = loadMutes()
+  const now = Date.now()
+
+  for (const [userId, userMutes] of Object.entries(mutes)) {
+    // снимаем истекшие муты
+    const expired = Object.keys(userMutes.wallets).filter(address => {
+      const mute = userMutes.wallets[address]
+      return mute.until !== null && mute.until <= now
+    })
+    if (expired.length) {
+      expired.forEach(address => { delete userMutes.wallets[address] })
+      updateUserMutes(userId, current => {
+        expired.forEach(address => { delete current.wallets[address] })
+      })
+    }
+
+    if (isQuietTime(userMutes.quiet)) continue
+    const ready = userMutes.queue.filter(item => !isWalletMuted(userMutes, item.address, now))
+    if (!ready.length) continue
+
+    const lines = ready.slice(-30).map(item => {
+      const time = new Date(item.timestamp).toISOString().slice(11, 16)
+      return `${time} · <b>${escapeHtml(item.label)}</b> ${item.summary}`
+    })
+    let message = `📬 <b>Digest: ${ready.length} event${ready.length === 1 ? '' : 's'} ${formatDigestReason(ready)}</b>\n\n`
+    if (ready.length > lines.length) message += `<i>...${ready.length - lines.length} earlier events skipped</i>\n`
+    message += lines.join('\n')
+
+    try {
+      await bot.telegram.sendMessage(userId, message, { parse_mode: 'HTML' })
+      // убираем только отправленное: пока шла отправка, в очередь могли добавиться новые события
+      updateUserMutes(userId, current => {
+        current.queue = current.queue.filter(item => !ready.some(sent => isSameQueueItem(sent, item)))
+      })
+    } catch (error) {
+      console.error(`Error sending digest to user ${userId}:`, error.message)
+    }
   }
 }
 
@@ -252,18 +737,27 @@ function initializeWalletPnL(address, initialBalance = 0) {
       initialBalance: initialBalance,
       lastBalance: initialBalance,
       tradeHistory: [],
-      balanceHistory: [{ balance: initialBalance, timestamp: Date.now() }]
+      balanceHistory: [{ balance: initialBalance, unrealizedPnL: 0, timestamp: Date.now() }],
+      ledger: pnl.createLedger(CONFIG.PNL_METHOD),
+      closedLots: [],
+      lastTradeId: null,
+      fees: { total: 0, bySymbol: {} },
+      funding: { total: 0, bySymbol: {} },
+      fundingHistory: [],
+      lastFundingTime: null,
+      lastFundingSync: null
     }
+    markPnLChanged(address)
   }
 }
 
-// Обновление PnL при изменении позиций
+// Обновление баланса и unrealized PnL по новому снимку.
+// Сделки сюда больше не попадают — их приносит ingestFills из реальных fills
 function updateWalletPnL(address, oldState, newState) {
   initializeWalletPnL(address, newState?.balance || 0)
+  markPnLChanged(address)
   
-  const oldPositions = oldState?.positions || {}
   const newPositions = newState?.positions || {}
-  const oldBalance = oldState?.balance || 0
   const newBalance = newState?.balance || 0
   
   // Рассчитываем unrealized PnL из текущих позиций
@@ -272,106 +766,281 @@ function updateWalletPnL(address, oldState, newState) {
     currentUnrealizedPnL += pos.unrealized_pnl || 0
   })
   
-  // Анализируем изменения позиций для определения сделок
-  const allSymbols = new Set([...Object.keys(oldPositions), ...Object.keys(newPositions)])
-  
-  allSymbols.forEach(symbol => {
-    const oldPos = oldPositions[symbol]
-    const newPos = newPositions[symbol]
-    
-    // Если позиция закрылась - это закрытие сделки
-    if (oldPos && !newPos) {
-      const trade = {
-        symbol,
-        side: oldPos.sign === 1 ? 'LONG' : 'SHORT',
-        size: oldPos.position,
-        entryPrice: oldPos.avg_entry_price,
-        exitPrice: oldPos.mark_price || oldPos.avg_entry_price,
-        pnl: oldPos.unrealized_pnl || 0,
-        timestamp: Date.now(),
-        type: 'close'
-      }
-      
-      walletPnL[address].tradeHistory.push(trade)
-      walletPnL[address].realizedPnL += trade.pnl
-      walletPnL[address].trades++
-    }
-    
-    // Если позиция открылась - это открытие сделки
-    if (!oldPos && newPos) {
-      const trade = {
-        symbol,
-        side: newPos.sign === 1 ? 'LONG' : 'SHORT',
-        size: newPos.position,
-        entryPrice: newPos.avg_entry_price,
-        exitPrice: null,
-        pnl: 0,
-        timestamp: Date.now(),
-        type: 'open'
-      }
-      
-      walletPnL[address].tradeHistory.push(trade)
-    }
-    
-    // Если позиция изменилась по размеру
-    if (oldPos && newPos && oldPos.position !== newPos.position) {
-      const sizeDiff = Math.abs(newPos.position - oldPos.position)
-      const isIncrease = newPos.position > oldPos.position
-      
-      if (isIncrease) {
-        // Увеличение позиции - новая сделка
-        const trade = {
-          symbol,
-          side: newPos.sign === 1 ? 'LONG' : 'SHORT',
-          size: sizeDiff,
-          entryPrice: newPos.avg_entry_price,
-          exitPrice: null,
-          pnl: 0,
-          timestamp: Date.now(),
-          type: 'increase'
-        }
-        walletPnL[address].tradeHistory.push(trade)
-      } else {
-        // Уменьшение позиции - частичное закрытие
-        const trade = {
-          symbol,
-          side: oldPos.sign === 1 ? 'LONG' : 'SHORT',
-          size: sizeDiff,
-          entryPrice: oldPos.avg_entry_price,
-          exitPrice: newPos.mark_price || oldPos.avg_entry_price,
-          pnl: (oldPos.unrealized_pnl || 0) * (sizeDiff / oldPos.position), // пропорциональная часть PnL
-          timestamp: Date.now(),
-          type: 'partial_close'
-        }
-        walletPnL[address].tradeHistory.push(trade)
-        walletPnL[address].realizedPnL += trade.pnl
-        walletPnL[address].trades++
-      }
-    }
-  })
-  
   // Обновляем баланс и unrealized PnL
   walletPnL[address].unrealizedPnL = currentUnrealizedPnL
   walletPnL[address].lastBalance = newBalance
   walletPnL[address].totalPnL = walletPnL[address].realizedPnL + currentUnrealizedPnL
   
-  // Добавляем запись в историю баланса
-  walletPnL[address].balanceHistory.push({
-    balance: newBalance,
-    timestamp: Date.now()
-  })
+  // Добавляем запись в историю баланса; внутри одного шага обновляем последнюю точку,
+  // иначе частые снимки из стрима вытеснят старую историю
+  const history = walletPnL[address].balanceHistory
+  const record = { balance: newBalance, unrealizedPnL: currentUnrealizedPnL, timestamp: Date.now() }
+  if (history.length > 1 && record.timestamp - history[history.length - 2].timestamp < CONFIG.BALANCE_HISTORY_STEP) {
+    history[history.length - 1] = record
+  } else {
+    history.push(record)
+  }
   
-  // Очищаем старую историю (оставляем последние 1000 записей)
-  if (walletPnL[address].balanceHistory.length > 1000) {
-    walletPnL[address].balanceHistory = walletPnL[address].balanceHistory.slice(-1000)
+  // Очищаем старую историю
+  if (history.length > CONFIG.BALANCE_HISTORY_LIMIT) {
+    walletPnL[address].balanceHistory = history.slice(-CONFIG.BALANCE_HISTORY_LIMIT)
+  }
+}
+
+function marketSymbol(marketId) {
+  return markets.resolve(marketId)?.symbol || marketSymbols.get(marketId) || `MARKET_${marketId}`
+}
+
+// Lighter отдает то миллисекунды, то секунды
+function normalizeTimestamp(value) {
+  const timestamp = Number(value)
+  return timestamp < 1e12 ? timestamp * 1000 : timestamp
+}
+
+// Приводим сделку Lighter к fill с точки зрения аккаунта
+function normalizeFill(trade, accountIndex) {
+  const side = trade.bid_account_id === accountIndex ? 'buy' : 'sell'
+  const size = parseFloat(trade.size)
+  const price = parseFloat(trade.price)
+  // Комиссия зависит от того, был ли аккаунт мейкером в этой сделке
+  const isMaker = (side === 'sell') === Boolean(trade.is_maker_ask)
+  const feeRate = Number(isMaker ? trade.maker_fee : trade.taker_fee) || 0
+  const notional = parseFloat(trade.usd_amount) || size * price
+  return {
+    tradeId: trade.trade_id,
+    symbol: trade.symbol || marketSymbol(trade.market_id),
+    side,
+    size,
+    price,
+    fee: notional * feeRate / CONFIG.FEE_RATE_SCALE,
+    timestamp: normalizeTimestamp(trade.timestamp)
+  }
+}
+
+// Начисление funding по позиции: change > 0 — аккаунт получил, < 0 — заплатил
+function normalizeFunding(item) {
+  return {
+    fundingId: item.funding_id ?? null,
+    symbol: marketSymbol(item.market_id),
+    amount: parseFloat(item.change) || 0,
+    rate: parseFloat(item.rate) || 0,
+    positionSize: parseFloat(item.position_size) || 0,
+    side: item.position_side ? String(item.position_side).toUpperCase() : null,
+    timestamp: normalizeTimestamp(item.timestamp)
+  }
+}
+
+// Итог и разбивка по символам для комиссий и funding
+function addWalletCost(costs, symbol, amount) {
+  if (!amount) return
+  costs.total += amount
+  costs.bySymbol[symbol] = (costs.bySymbol[symbol] || 0) + amount
+}
+
+// Применяем fill к лотам кошелька и пишем сделку в историю
+function applyWalletFill(address, fill) {
+  const stats = walletPnL[address]
+  const before = pnl.getPosition(stats.ledger, fill.symbol)
+  const { type, closedLots, position } = pnl.applyFill(stats.ledger, fill)
+  const realized = closedLots.reduce((sum, lot) => sum + lot.pnl, 0)
+  const closedSize = closedLots.reduce((sum, lot) => sum + lot.size, 0)
+
+  stats.tradeHistory.push({
+    tradeId: fill.tradeId,
+    symbol: fill.symbol,
+    fillSide: fill.side,
+    // сторона позиции, которую затронул fill (для flip — закрытая сторона)
+    side: (before.size || position.size) > 0 ? 'LONG' : 'SHORT',
+    size: fill.size,
+    price: fill.price,
+    entryPrice: closedSize > 0
+      ? closedLots.reduce((sum, lot) => sum + lot.entryPrice * lot.size, 0) / closedSize
+      : fill.price,
+    exitPrice: closedSize > 0 ? fill.price : null,
+    pnl: realized,
+    fee: fill.fee || 0,
+    timestamp: fill.timestamp,
+    type
+  })
+  addWalletCost(stats.fees, fill.symbol, fill.fee)
+
+  if (closedLots.length > 0) {
+    stats.closedLots.push(...closedLots)
+    stats.realizedPnL += realized
+    stats.trades++ // одна сделка = один закрывающий fill, как в pnl.summarizeLots
+  }
+}
+
+// Кошельки из старых версий: без ledger/closedLots, комиссий и funding
+function ensureLedger(stats) {
+  if (!stats.fees) stats.fees = { total: 0, bySymbol: {} }
+  if (!stats.funding) stats.funding = { total: 0, bySymbol: {} }
+  if (!stats.fundingHistory) stats.fundingHistory = []
+  if (!stats.ledger) stats.ledger = pnl.createLedger(CONFIG.PNL_METHOD)
+  if (!stats.closedLots) {
+    stats.closedLots = stats.tradeHistory
+      .filter(t => t.type === 'close' || t.type === 'partial_close')
+      .map(t => ({
+        symbol: t.symbol,
+        side: t.side,
+        size: t.size,
+        entryPrice: t.entryPrice,
+        exitPrice: t.exitPrice,
+        pnl: t.pnl,
+        openedAt: t.openedAt || null,
+        closedAt: t.timestamp,
+        tradeId: t.tradeId ?? null
+      }))
+  }
+}
+
+// Синхронизация уперлась в лимит страниц: часть истории между синками не загружена
+function flagHistoryGap(address, stats, type, pages) {
+  console.error(`⚠️ More than ${pages} pages of new ${type} for ${address}, older ones were skipped`)
+  stats.historyGaps = [...(stats.historyGaps || []), { type, timestamp: Date.now() }].slice(-20)
+}
+
+async function fetchFills(accountIndex, cursor = null) {
+  const url = `${TRADES_API}?account_index=${accountIndex}&sort_by=trade_id&sort_dir=desc&limit=${CONFIG.FILLS_PAGE_SIZE}` +
+    (cursor ? `&cursor=${encodeURIComponent(cursor)}` : '')
+  const json = await fetchWithRetry(url, { noCache: true })
+  return {
+    trades: Array.isArray(json.trades) ? json.trades : [],
+    nextCursor: json.next_cursor || null
+  }
+}
+
+// Забираем новые fills кошелька начиная с последнего учтенного trade_id.
+// state — свежий снимок кошелька (нужен account_index и стартовые позиции)
+async function ingestFills(address, state) {
+  const accountIndex = state?.accountIndex
+  if (!Number.isInteger(accountIndex)) return 0
+
+  initializeWalletPnL(address, state.balance || 0)
+  markPnLChanged(address)
+  const stats = walletPnL[address]
+  ensureLedger(stats)
+
+  // Первая синхронизация: берем текущие позиции как стартовые лоты и запоминаем
+  // последнюю сделку, чтобы не переносить в статистику историю до начала отслеживания
+  if (stats.lastTradeId === undefined || stats.lastTradeId === null) {
+    stats.ledger = pnl.createLedger(stats.ledger.method)
+    Object.entries(state.positions || {}).forEach(([symbol, pos]) => {
+      pnl.seedPosition(stats.ledger, symbol, {
+        size: pos.position * pos.sign,
+        price: pos.avg_entry_price,
+        timestamp: Date.now()
+      })
+    })
+    const { trades } = await fetchFills(accountIndex)
+    stats.lastTradeId = trades.length > 0 ? Math.max(...trades.map(t => t.trade_id)) : 0
+    return 0
+  }
+
+  // Идем от новых сделок к старым, пока не встретим уже учтенную
+  const fresh = []
+  let cursor = null
+  let complete = false
+  for (let page = 0; page < CONFIG.FILLS_MAX_PAGES && !complete; page++) {
+    const { trades, nextCursor } = await fetchFills(accountIndex, cursor)
+    const unseen = trades.filter(t => t.trade_id > stats.lastTradeId)
+    fresh.push(...unseen)
+    complete = unseen.length < trades.length || !nextCursor
+    cursor = nextCursor
+  }
+
+  // До учтенной сделки не дошли: без пропущенных fills лоты собрать нельзя,
+  // поэтому начинаем заново от текущих позиций и отмечаем разрыв в истории
+  if (!complete) {
+    flagHistoryGap(address, stats, 'fills', CONFIG.FILLS_MAX_PAGES)
+    stats.ledger = pnl.createLedger(stats.ledger.method)
+    Object.entries(state.positions || {}).forEach(([symbol, pos]) => {
+      pnl.seedPosition(stats.ledger, symbol, {
+        size: pos.position * pos.sign,
+        price: pos.avg_entry_price,
+        timestamp: Date.now()
+      })
+    })
+    stats.lastTradeId = Math.max(...fresh.map(t => t.trade_id))
+    return 0
+  }
+
+  fresh
+    .sort((a, b) => a.trade_id - b.trade_id)
+    .forEach(trade => {
+      applyWalletFill(address, normalizeFill(trade, accountIndex))
+      stats.lastTradeId = trade.trade_id
+    })
+
+  if (stats.tradeHistory.length > 1000) {
+    stats.tradeHistory = stats.tradeHistory.slice(-1000)
+  }
+  if (stats.closedLots.length > 1000) {
+    stats.closedLots = stats.closedLots.slice(-1000)
+  }
+  stats.totalPnL = stats.realizedPnL + stats.unrealizedPnL
+
+  return fresh.length
+}
+
+async function fetchFunding(accountIndex, cursor = null) {
+  const url = `${FUNDING_API}?account_index=${accountIndex}&limit=${CONFIG.FUNDING_PAGE_SIZE}` +
+    (cursor ? `&cursor=${encodeURIComponent(cursor)}` : '')
+  const json = await fetchWithRetry(url, { noCache: true })
+  return {
+    fundings: Array.isArray(json.position_fundings) ? json.position_fundings : [],
+    nextCursor: json.next_cursor || null
+  }
+}
+
+// Забираем новые начисления funding (от новых к старым, до уже учтенного).
+// Начисления до начала отслеживания не учитываем, как и сделки
+async function ingestFunding(address, state) {
+  const accountIndex = state?.accountIndex
+  if (!Number.isInteger(accountIndex)) return 0
+
+  initializeWalletPnL(address, state.balance || 0)
+  markPnLChanged(address)
+  const stats = walletPnL[address]
+  ensureLedger(stats)
+
+  const now = Date.now()
+  if (stats.lastFundingSync && now - stats.lastFundingSync < CONFIG.FUNDING_SYNC_INTERVAL) return 0
+  // ставим до запроса: при ошибке API следующая попытка тоже через интервал
+  stats.lastFundingSync = now
+  if (!stats.lastFundingTime) stats.lastFundingTime = stats.startTime
+
+  const fresh = []
+  let cursor = null
+  let complete = false
+  for (let page = 0; page < CONFIG.FUNDING_MAX_PAGES && !complete; page++) {
+    const { fundings, nextCursor } = await fetchFunding(accountIndex, cursor)
+    const unseen = fundings.map(normalizeFunding).filter(f => f.timestamp > stats.lastFundingTime)
+    fresh.push(...unseen)
+    complete = unseen.length < fundings.length || !nextCursor
+    cursor = nextCursor
   }
-  if (walletPnL[address].tradeHistory.length > 1000) {
-    walletPnL[address].tradeHistory = walletPnL[address].tradeHistory.slice(-1000)
+  // более старые начисления остались за лимитом страниц — учитываем то, что загрузили
+  if (!complete) flagHistoryGap(address, stats, 'funding', CONFIG.FUNDING_MAX_PAGES)
+
+  fresh
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .forEach(funding => {
+      stats.fundingHistory.push(funding)
+      addWalletCost(stats.funding, funding.symbol, funding.amount)
+      stats.lastFundingTime = funding.timestamp
+    })
+
+  if (stats.fundingHistory.length > 1000) {
+    stats.fundingHistory = stats.fundingHistory.slice(-1000)
   }
+
+  return fresh.length
 }
 
-// Получение статистики PnL для кошелька
-function getWalletPnLStats(address) {
+// Получение статистики PnL для кошелька.
+// since (мс) — считать сделки, доходность и просадку только с этого момента (для /leaderboard)
+function getWalletPnLStats(address, since = null) {
   if (!walletPnL[address]) {
     return null
   }
@@ -380,85 +1049,75 @@ function getWalletPnLStats(address) {
   const trackingDuration = Date.now() - stats.startTime
   const daysTracked = trackingDuration / (1000 * 60 * 60 * 24)
   
-  // Рассчитываем дополнительные метрики
-  const closedTrades = stats.tradeHistory.filter(t => t.type === 'close' || t.type === 'partial_close')
-  const winningTrades = closedTrades.filter(t => t.pnl > 0)
-  const losingTrades = closedTrades.filter(t => t.pnl < 0)
-  
-  const winRate = closedTrades.length > 0 ? (winningTrades.length / closedTrades.length * 100).toFixed(1) : 0
-  const avgWin = winningTrades.length > 0 ? (winningTrades.reduce((sum, t) => sum + t.pnl, 0) / winningTrades.length).toFixed(2) : 0
-  const avgLoss = losingTrades.length > 0 ? (losingTrades.reduce((sum, t) => sum + t.pnl, 0) / losingTrades.length).toFixed(2) : 0
+  // Метрики считаем по закрытым лотам (см. pnl.js)
+  ensureLedger(stats)
+  const closedLots = since ? stats.closedLots.filter(lot => lot.closedAt >= since) : stats.closedLots
+  const summary = pnl.summarizeLots(closedLots)
+
+  // Баланс на начало периода — последняя точка до since
+  const history = since ? stats.balanceHistory.filter(record => record.timestamp >= since) : stats.balanceHistory
+  const before = since ? stats.balanceHistory.filter(record => record.timestamp < since) : []
+  const startBalance = before.length > 0
+    ? before[before.length - 1].balance
+    : (since && history.length > 0 ? history[0].balance : stats.initialBalance)
   
-  // Рассчитываем максимальную просадку
+  // Рассчитываем максимальную просадку по истории баланса
   let maxDrawdown = 0
-  let peak = stats.initialBalance
-  let currentDrawdown = 0
+  let peak = startBalance
   
-  stats.balanceHistory.forEach(record => {
-    const totalValue = record.balance + (stats.tradeHistory
-      .filter(t => t.timestamp <= record.timestamp && t.type !== 'close' && t.type !== 'partial_close')
-      .reduce((sum, t) => sum + (t.pnl || 0), 0))
-    
-    if (totalValue > peak) {
-      peak = totalValue
-      currentDrawdown = 0
-    } else {
-      currentDrawdown = (peak - totalValue) / peak * 100
+  history.forEach(record => {
+    if (record.balance > peak) {
+      peak = record.balance
+    } else if (peak > 0) {
+      const currentDrawdown = (peak - record.balance) / peak * 100
       if (currentDrawdown > maxDrawdown) {
         maxDrawdown = currentDrawdown
       }
     }
   })
   
-  // Рассчитываем дополнительные метрики риска
-  const profitFactor = losingTrades.length > 0 ? 
-    (winningTrades.reduce((sum, t) => sum + t.pnl, 0) / Math.abs(losingTrades.reduce((sum, t) => sum + t.pnl, 0))).toFixed(2) : 
-    (winningTrades.length > 0 ? '∞' : 'N/A')
-  
-  const expectancy = closedTrades.length > 0 ? 
-    ((winningTrades.reduce((sum, t) => sum + t.pnl, 0) + losingTrades.reduce((sum, t) => sum + t.pnl, 0)) / closedTrades.length).toFixed(2) : 
-    'N/A'
-  
-  // Рассчитываем среднее время удержания позиций (если есть достаточно данных)
-  let avgHoldTime = 0
-  if (closedTrades.length > 0) {
-    const holdTimes = closedTrades.map(trade => {
-      // Ищем соответствующую открывающую сделку
-      const openTrade = stats.tradeHistory.find(t => 
-        t.symbol === trade.symbol && 
-        t.side === trade.side && 
-        t.type === 'open' && 
-        t.timestamp < trade.timestamp
-      )
-      return openTrade ? (trade.timestamp - openTrade.timestamp) / (1000 * 60 * 60) : 0 // в часах
-    }).filter(time => time > 0)
-    
-    if (holdTimes.length > 0) {
-      avgHoldTime = (holdTimes.reduce((sum, time) => sum + time, 0) / holdTimes.length).toFixed(1)
-    }
-  }
+  let profitFactor = 'N/A'
+  if (summary.profitFactor === Infinity) profitFactor = '∞'
+  else if (summary.profitFactor !== null) profitFactor = summary.profitFactor.toFixed(2)
   
   return {
     ...stats,
     daysTracked: daysTracked.toFixed(1),
     avgPnLPerDay: daysTracked > 0.1 ? (stats.totalPnL / daysTracked).toFixed(2) : 'N/A',
-    avgPnLPerTrade: closedTrades.length > 0 ? (stats.realizedPnL / closedTrades.length).toFixed(2) : 0,
-    winRate,
-    avgWin,
-    avgLoss,
+    avgPnLPerTrade: summary.totalTrades > 0 ? (summary.realizedPnL / summary.totalTrades).toFixed(2) : 0,
+    winRate: summary.totalTrades > 0 ? summary.winRate.toFixed(1) : 0,
+    avgWin: summary.avgWin.toFixed(2),
+    avgLoss: summary.avgLoss.toFixed(2),
     maxDrawdown: maxDrawdown.toFixed(2),
-    totalTrades: closedTrades.length,
-    winningTrades: winningTrades.length,
-    losingTrades: losingTrades.length,
+    totalTrades: summary.totalTrades,
+    winningTrades: summary.winningTrades,
+    losingTrades: summary.losingTrades,
     profitFactor,
-    expectancy,
-    avgHoldTime
+    expectancy: summary.expectancy === null ? 'N/A' : summary.expectancy.toFixed(2),
+    avgHoldTime: summary.avgHoldTime.toFixed(1),
+    // funding и комиссии — за все время отслеживания; net = цена + funding - комиссии
+    fundingPnL: stats.funding.total,
+    feesPaid: stats.fees.total,
+    netPnL: stats.totalPnL + stats.funding.total - stats.fees.total,
+    // числа без форматирования — для сортировки
+    closedPnL: summary.realizedPnL,
+    returnPct: startBalance > 0 ? summary.realizedPnL / startBalance * 100 : null,
+    profitFactorValue: summary.profitFactor,
+    // без точек баланса за период просадку посчитать не из чего
+    maxDrawdownValue: history.length > 0 ? maxDrawdown : null
   }
 }
 
+// Whitelist держим в памяти, чтобы не читать его на каждое сообщение;
+// обновляется при старте и после /admin whitelist
+let whitelistCache = new Set(loadWhitelist())
+
+function refreshWhitelist() {
+  whitelistCache = new Set(loadWhitelist())
+}
+
 function isWhitelisted(userId) {
-  const whitelist = loadWhitelist()
-  return whitelist.includes(userId)
+  return whitelistCache.has(userId)
 }
 
 function getUserLimits(userId) {
@@ -497,12 +1156,16 @@ function checkRateLimit(userId) {
 }
 
 // Функция для выполнения HTTP запросов с ретраями и таймаутом
+// options.noCache — всегда идти в API и не сохранять ответ (например, за новыми fills)
 async function fetchWithRetry(url, options = {}, retries = CONFIG.RETRY_ATTEMPTS) {
+  const { noCache, ...fetchOptions } = options
   const cacheKey = url
   const cachedResult = cache.get(cacheKey)
   
-  if (cachedResult && Date.now() - cachedResult.timestamp < CONFIG.CACHE_DURATION) {
-    return cachedResult.data
+  if (!noCache) {
+    const hit = Boolean(cachedResult) && Date.now() - cachedResult.timestamp < CONFIG.CACHE_DURATION
+    metrics.cacheLookup(hit)
+    if (hit) return cachedResult.data
   }
 
   // Ждем освобождения слота для запроса
@@ -513,35 +1176,43 @@ async function fetchWithRetry(url, options = {}, retries = CONFIG.RETRY_ATTEMPTS
   activeRequests++
   
   try {
-    const controller = new AbortController()
-    const timeoutId = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT)
-    
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal
+    const data = await metrics.timeApiRequest(url, async () => {
+      const controller = new AbortController()
+      const timeoutId = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT)
+
+      try {
+        const response = await fetch(url, {
+          ...fetchOptions,
+          signal: controller.signal
+        })
+
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+        }
+
+        return await response.json()
+      } finally {
+        clearTimeout(timeoutId)
+      }
     })
     
-    clearTimeout(timeoutId)
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`)
-    }
-    
-    const data = await response.json()
-    
     // Кешируем результат
-    cache.set(cacheKey, {
-      data,
-      timestamp: Date.now()
-    })
+    if (!noCache) {
+      cache.set(cacheKey, {
+        data,
+        timestamp: Date.now()
+      })
+    }
     
     return data
   } catch (error) {
     if (retries > 0) {
+      metrics.apiRetry(url)
       console.log(`Retrying request to ${url}, attempts left: ${retries - 1}`)
       await new Promise(resolve => setTimeout(resolve, CONFIG.RETRY_DELAY))
       return fetchWithRetry(url, options, retries - 1)
     }
+    metrics.apiFailure(url)
     throw error
   } finally {
     activeRequests--
@@ -552,53 +1223,192 @@ async function fetchWithRetry(url, options = {}, retries = CONFIG.RETRY_ATTEMPTS
   }
 }
 
+// Приводим сырые позиции Lighter (REST или WebSocket) к нашему формату, подтягивая mark price
+async function parsePositions(rawPositions) {
+  const positions = {}
+  const markPricePromises = []
+
+  for (const pos of rawPositions) {
+    marketSymbols.set(pos.market_id, pos.symbol)
+    const size = parseFloat(pos.position)
+    if (size !== 0) {
+      markPricePromises.push(
+        fetchMarkPrice(pos.market_id).then(markPrice => ({
+          symbol: pos.symbol,
+          position: Math.abs(size),
+          avg_entry_price: parseFloat(pos.avg_entry_price),
+          sign: pos.sign,
+          open_order_count: pos.open_order_count,
+          unrealized_pnl: parseFloat(pos.unrealized_pnl),
+          position_value: parseFloat(pos.position_value),
+          liquidation_price: parseFloat(pos.liquidation_price) || null,
+          mark_price: markPrice,
+          market_id: pos.market_id
+        }))
+      )
+    }
+  }
+
+  // Параллельно получаем все mark prices
+  const positionsData = await Promise.allSettled(markPricePromises)
+
+  positionsData.forEach(result => {
+    if (result.status === 'fulfilled') {
+      positions[result.value.symbol] = result.value
+    }
+  })
+
+  return positions
+}
+
+// Снимок кошелька всегда несет status:
+//   ok    — данные получены из API
+//   stale — API недоступен, показываем последний известный снимок
+//   error — данных нет; такие снимки нельзя сравнивать с предыдущими
+function errorSnapshot(error, extra = {}) {
+  return { status: 'error', error, balance: 0, positions: {}, fetchedAt: Date.now(), ...extra }
+}
+
 async function fetchPositions(addressRaw) {
   const address = safeToChecksumAddress(addressRaw)
-  if (!address) return { balance: 0, positions: {} }
+  if (!address) return errorSnapshot('invalid address')
   
   try {
     const json = await fetchWithRetry(API_URL_BASE + address)
     const acc = json.accounts?.[0]
-    if (!acc) return { balance: 0, positions: {} }
+    if (!acc) return errorSnapshot('account not found', { notFound: true })
 
-    const positions = {}
-    const markPricePromises = []
-    
-    for (const pos of acc.positions) {
-      const size = parseFloat(pos.position)
-      if (size !== 0) {
-        markPricePromises.push(
-          fetchMarkPrice(pos.market_id).then(markPrice => ({
-            symbol: pos.symbol,
-            position: Math.abs(size),
-            avg_entry_price: parseFloat(pos.avg_entry_price),
-            sign: pos.sign,
-            open_order_count: pos.open_order_count,
-            unrealized_pnl: parseFloat(pos.unrealized_pnl),
-            position_value: parseFloat(pos.position_value),
-            mark_price: markPrice,
-            market_id: pos.market_id
-          }))
-        )
-      }
+    return {
+      status: 'ok',
+      balance: parseFloat(acc.collateral),
+      positions: await parsePositions(acc.positions),
+      accountIndex: acc.index,
+      fetchedAt: Date.now()
     }
+  } catch (err) {
+    console.error(`⚠️ Error fetching positions for ${address}:`, err.message)
+    return errorSnapshot(err.message)
+  }
+}
 
-    // Параллельно получаем все mark prices
-    const positionsData = await Promise.allSettled(markPricePromises)
-    
-    positionsData.forEach(result => {
-      if (result.status === 'fulfilled') {
-        positions[result.value.symbol] = result.value
+// Для команд: при сбое API отдаем последний известный снимок с пометкой stale
+async function fetchWalletSnapshot(address) {
+  const data = await fetchPositions(address)
+  if (data.status === 'ok' || !previousStates[address]) return data
+  return { ...previousStates[address], status: 'stale', error: data.error }
+}
+
+function formatStaleNotice(data) {
+  if (data.status === 'stale') {
+    const updated = data.fetchedAt ? new Date(data.fetchedAt).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : 'unknown'
+    return `⚠️ <i>Lighter API unavailable, showing last known data (${updated})</i>\n\n`
+  }
+  return ''
+}
+
+// Сводка по нескольким кошелькам: wallets = [{ address, label, data }], где data — снимок кошелька.
+// По каждому символу — экспозиция в лонг/шорт, нетто в USD и в монетах, и какие кошельки его держат
+function aggregatePortfolio(wallets) {
+  const symbols = {}
+  const totals = { balance: 0, unrealizedPnL: 0, long: 0, short: 0, wallets: 0, unavailable: [] }
+
+  wallets.forEach(({ address, label, data }) => {
+    if (data.status === 'error') {
+      totals.unavailable.push(label)
+      return
+    }
+    totals.wallets++
+    totals.balance += data.balance || 0
+
+    Object.entries(data.positions || {}).forEach(([symbol, pos]) => {
+      const value = pos.position_value || 0
+      if (!symbols[symbol]) {
+        symbols[symbol] = { symbol, long: 0, short: 0, netSize: 0, unrealizedPnL: 0, holders: [], sample: pos }
       }
+      const entry = symbols[symbol]
+      if (pos.sign === 1) entry.long += value
+      else entry.short += value
+      entry.netSize += pos.position * pos.sign
+      entry.unrealizedPnL += pos.unrealized_pnl || 0
+      entry.holders.push({ address, label, sign: pos.sign, value })
     })
+  })
 
-    return {
-      balance: parseFloat(acc.collateral),
-      positions
+  const list = Object.values(symbols)
+    .map(entry => ({ ...entry, gross: entry.long + entry.short, net: entry.long - entry.short }))
+    .sort((a, b) => b.gross - a.gross)
+
+  list.forEach(entry => {
+    totals.long += entry.long
+    totals.short += entry.short
+    totals.unrealizedPnL += entry.unrealizedPnL
+  })
+
+  return { symbols: list, totals: { ...totals, gross: totals.long + totals.short, net: totals.long - totals.short } }
+}
+
+// title — готовый HTML (вызывающий уже экранировал имя группы);
+// limit — сколько символов осталось под сводку в сообщении
+function formatPortfolio(title, portfolio, limit = CONFIG.MESSAGE_LIMIT) {
+  const { symbols, totals } = portfolio
+  const sign = value => (value >= 0 ? '+' : '')
+  const usd = value => `$${Math.abs(value).toFixed(2)}`
+
+  let message = `💼 <b>${title}</b>\n`
+  message += `Wallets: <code>${totals.wallets}</code>\n`
+  message += `Balance: <code>$${totals.balance.toFixed(2)}</code>\n`
+  message += `Unrealized PnL: <code>${sign(totals.unrealizedPnL)}${totals.unrealizedPnL.toFixed(2)}$</code>\n`
+  message += `Longs/Shorts: <code>${usd(totals.long)}/${usd(totals.short)}</code>\n`
+  message += `Gross exposure: <code>${usd(totals.gross)}</code> (<code>${(totals.balance > 0 ? totals.gross / totals.balance : 0).toFixed(2)}x</code>)\n`
+  const deltaSide = Math.abs(totals.net) < 0.01 ? 'FLAT' : totals.net > 0 ? 'LONG' : 'SHORT'
+  message += `Net delta: <code>${totals.net >= 0 ? '' : '-'}${usd(totals.net)}</code> ${deltaSide}\n`
+  if (totals.unavailable.length) {
+    message += `⚠️ <i>No data for: ${formatLabelList(totals.unavailable)}</i>\n`
+  }
+  message += '\n━━━━━━━━━━━━━━━━━━━━\n\n'
+
+  if (symbols.length === 0) return message + '📭 <b>No open positions</b>'
+
+  const blocks = symbols.map(entry => {
+    const netSide = entry.netSize > 0 ? 'LONG' : entry.netSize < 0 ? 'SHORT' : 'FLAT'
+    let block = `${formatSideEmoji(Math.sign(entry.net) || 1)} <b>${entry.symbol}</b> net ${netSide}\n`
+    block += `Gross/Net: <code>${usd(entry.gross)}/${entry.net >= 0 ? '' : '-'}${usd(entry.net)}</code>\n`
+    block += `Net size: <code>${formatSize(entry.sample, entry.netSize)}</code>\n`
+    block += `PNL: <code>${sign(entry.unrealizedPnL)}${entry.unrealizedPnL.toFixed(2)}$</code>\n`
+
+    // одна и та же позиция в нескольких кошельках
+    if (entry.holders.length > 1) {
+      const hedged = entry.long > 0 && entry.short > 0
+      block += `${hedged ? '⚖️ Opposite sides' : '🔗 Shared'}: ` +
+        formatLabelList(entry.holders.map(h => `${h.label} ${h.sign === 1 ? 'L' : 'S'}`)) + '\n'
     }
-  } catch (err) {
-    console.error(`⚠️ Error fetching positions for ${address}:`, err.message)
-    return { balance: 0, positions: {} }
+    return block + '\n'
+  })
+
+  // символы отсортированы по экспозиции — при обрезке теряются самые мелкие
+  return fitMessage(message, blocks, count => `<i>...and ${count} smaller position${count === 1 ? '' : 's'}</i>`, limit).trimEnd()
+}
+
+// Собираем новое состояние из сообщения account_all.
+// Обновление может содержать не все рынки, поэтому накладываем его на предыдущее состояние
+async function buildStateFromStream(oldState, msg) {
+  const rawPositions = Array.isArray(msg.positions) ? msg.positions : Object.values(msg.positions || {})
+  const updated = await parsePositions(rawPositions)
+  const touchedMarkets = new Set(rawPositions.map(p => p.market_id))
+
+  const positions = {}
+  Object.entries(oldState.positions || {}).forEach(([symbol, pos]) => {
+    if (!touchedMarkets.has(pos.market_id)) positions[symbol] = pos
+  })
+  Object.assign(positions, updated)
+
+  const collateral = parseFloat(msg.account?.collateral ?? msg.collateral)
+  return {
+    status: 'ok',
+    balance: Number.isFinite(collateral) ? collateral : oldState.balance,
+    positions,
+    accountIndex: oldState.accountIndex,
+    fetchedAt: Date.now()
   }
 }
 
@@ -624,7 +1434,7 @@ function formatPositionsMobile(positions) {
   let result = ''
   entries.forEach(([symbol, pos], index) => {
     const pnlFormatted = (pos.unrealized_pnl >= 0 ? '+' : '') + pos.unrealized_pnl.toFixed(2)
-    const markPriceStr = pos.mark_price ? pos.mark_price.toFixed(4) : 'N/A'
+    const markPriceStr = pos.mark_price ? formatPrice(pos, pos.mark_price) : 'N/A'
     const posValueStr = pos.position_value ? pos.position_value.toFixed(2) : 'N/A'
     const sideText = pos.sign === 1 ? 'LONG' : 'SHORT'
 
@@ -633,9 +1443,9 @@ function formatPositionsMobile(positions) {
     const pnlPercentStr = pnlPercent !== null ? ` (${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}%)` : ''
     
     result += `${formatSideEmoji(pos.sign)} <b>${symbol}</b> ${sideText}\n`
-    result += `Size: <code>${pos.position}</code>\n`
+    result += `Size: <code>${formatSize(pos, pos.position)}</code>\n`
     result += `Value: <code>$${posValueStr}</code>\n`
-    result += `Entry: <code>$${pos.avg_entry_price}</code>\n`
+    result += `Entry: <code>$${formatPrice(pos, pos.avg_entry_price)}</code>\n`
     result += `Mark: <code>$${markPriceStr}</code>\n`
     result += `${pos.unrealized_pnl >= 0 ? '📈' : '📉'} PNL: <code>${pnlFormatted}$${pnlPercentStr}</code>\n`
     
@@ -651,7 +1461,7 @@ function formatPositionsMobile(positions) {
 function formatPositionUpdate(symbol, pos, action) {
   const sideText = pos.sign === 1 ? 'LONG' : 'SHORT'
   const pnlFormatted = (pos.unrealized_pnl >= 0 ? '+' : '') + pos.unrealized_pnl.toFixed(2)
-  const markPriceStr = pos.mark_price ? pos.mark_price.toFixed(4) : 'N/A'
+  const markPriceStr = pos.mark_price ? formatPrice(pos, pos.mark_price) : 'N/A'
   const posValueStr = pos.position_value ? pos.position_value.toFixed(2) : 'N/A'
   
   // Рассчитываем процент PnL
@@ -678,6 +1488,10 @@ function formatPositionUpdate(symbol, pos, action) {
       emoji = '📉'
       title = 'POSITION REDUCED'
       break
+    case 'flipped':
+      emoji = '🔃'
+      title = 'POSITION FLIPPED'
+      break
     default:
       emoji = '🔄'
       title = 'POSITION UPDATED'
@@ -685,17 +1499,19 @@ function formatPositionUpdate(symbol, pos, action) {
   
   let message = `${emoji} <b>${title}</b>\n\n`
   message += `${formatSideEmoji(pos.sign)} <b>${symbol}</b> ${sideText}\n\n`
-  message += `<b>Size:</b> <code>${pos.position}</code>\n`
+  message += `<b>Size:</b> <code>${formatSize(pos, pos.position)}</code>\n`
   message += `<b>Value:</b> <code>$${posValueStr}</code>\n`
-  message += `<b>Entry:</b> <code>$${pos.avg_entry_price}</code>\n`
+  message += `<b>Entry:</b> <code>$${formatPrice(pos, pos.avg_entry_price)}</code>\n`
   message += `<b>Mark:</b> <code>$${markPriceStr}</code>\n`
   message += `${pos.unrealized_pnl >= 0 ? '📈' : '📉'} <b>PNL:</b> <code>${pnlFormatted}$${pnlPercentStr}</code>\n`
 
   return message
 }
 
+// Возвращает события по символам: { symbol, type, oldPos, newPos, message }
+// type: opened | closed | increased | reduced | flipped
 function comparePositions(oldPos, newPos) {
-  const messages = []
+  const events = []
   const oldPositions = oldPos.positions || {}
   const newPositions = newPos.positions || {}
 
@@ -706,19 +1522,18 @@ function comparePositions(oldPos, newPos) {
     
     if (!o && n) {
       // Новая позиция открыта
-      messages.push(formatPositionUpdate(sym, n, 'opened'))
+      events.push({ symbol: sym, type: 'opened', oldPos: o, newPos: n, message: formatPositionUpdate(sym, n, 'opened') })
     } else if (o && !n) {
-      // Позиция закрыта - добавляем процент PnL
-      const pnlPercent = calculatePnLPercentage(o.unrealized_pnl, o.avg_entry_price, o.position)
-      const pnlPercentStr = pnlPercent !== null ? ` (${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}%)` : ''
-      const pnlFormatted = (o.unrealized_pnl >= 0 ? '+' : '') + o.unrealized_pnl.toFixed(2)
-      
-      const closedMsg = `❌ <b>POSITION CLOSED</b>\n\n` +
-        `${formatSideEmoji(o.sign)} <b>${sym}</b> ${o.sign === 1 ? 'LONG' : 'SHORT'}\n\n` +
-        `<b>Size:</b> <code>${o.position}</code>\n` +
-        `<b>Entry:</b> <code>$${o.avg_entry_price}</code>\n` +
-        `${o.unrealized_pnl >= 0 ? '📈' : '📉'} <b>Final PNL:</b> <code>${pnlFormatted}$${pnlPercentStr}</code>`
-      messages.push(closedMsg)
+      events.push({ symbol: sym, type: 'closed', oldPos: o, newPos: n, message: formatClosedPosition(sym, o) })
+    } else if (o && n && o.sign !== n.sign) {
+      // Разворот: старая сторона закрыта, новая открыта
+      let msg = formatPositionUpdate(sym, n, 'flipped')
+      msg += `\n📊 <b>Changes:</b>\n`
+      msg += `\n• Side: <code>${o.sign === 1 ? 'LONG' : 'SHORT'} → ${n.sign === 1 ? 'LONG' : 'SHORT'}</code>`
+      msg += `\n• Size: <code>${formatSize(o, o.position)} → ${formatSize(n, n.position)}</code>`
+      msg += `\n• Entry: <code>$${formatPrice(o, o.avg_entry_price)} → $${formatPrice(n, n.avg_entry_price)}</code>`
+      msg += `\n• Closed side PNL: <code>${formatClosedPnL(o)}</code>`
+      events.push({ symbol: sym, type: 'flipped', oldPos: o, newPos: n, message: msg })
     } else if (o && n && (o.position !== n.position || o.avg_entry_price !== n.avg_entry_price)) {
       // Позиция изменена
       const action = n.position > o.position ? 'increased' : 'reduced'
@@ -726,22 +1541,56 @@ function comparePositions(oldPos, newPos) {
       
       // Добавляем информацию об изменении
       msg += `\n📊 <b>Changes:</b>\n`
-      msg += `\n• Size: <code>${o.position} → ${n.position}</code>`
+      msg += `\n• Size: <code>${formatSize(o, o.position)} → ${formatSize(n, n.position)}</code>`
       
       if (o.avg_entry_price !== n.avg_entry_price) {
-        msg += `\n• Entry: <code>$${o.avg_entry_price} → $${n.avg_entry_price}</code>`
+        msg += `\n• Entry: <code>$${formatPrice(o, o.avg_entry_price)} → $${formatPrice(n, n.avg_entry_price)}</code>`
       }
       
-      messages.push(msg)
+      events.push({ symbol: sym, type: action, oldPos: o, newPos: n, message: msg })
     }
   })
-  return messages
+  return events
+}
+
+// Итоговый PnL закрытой стороны с процентом
+function formatClosedPnL(pos) {
+  const pnlPercent = calculatePnLPercentage(pos.unrealized_pnl, pos.avg_entry_price, pos.position)
+  const pnlPercentStr = pnlPercent !== null ? ` (${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}%)` : ''
+  return (pos.unrealized_pnl >= 0 ? '+' : '') + pos.unrealized_pnl.toFixed(2) + '$' + pnlPercentStr
+}
+
+function formatClosedPosition(sym, o) {
+  return `❌ <b>POSITION CLOSED</b>\n\n` +
+    `${formatSideEmoji(o.sign)} <b>${sym}</b> ${o.sign === 1 ? 'LONG' : 'SHORT'}\n\n` +
+    `<b>Size:</b> <code>${formatSize(o, o.position)}</code>\n` +
+    `<b>Entry:</b> <code>$${formatPrice(o, o.avg_entry_price)}</code>\n` +
+    `${o.unrealized_pnl >= 0 ? '📈' : '📉'} <b>Final PNL:</b> <code>${formatClosedPnL(o)}</code>`
+}
+
+// userId -> время последней записи активности
+const activityWrites = new Map()
+
+// Последняя активность для /admin users: каждое обновление — запись в базу,
+// поэтому для одного пользователя пишем не чаще ACTIVITY_WRITE_INTERVAL
+function touchUserActivity(userId, username, command) {
+  const now = Date.now()
+  if (now - (activityWrites.get(userId) || 0) < CONFIG.ACTIVITY_WRITE_INTERVAL) return
+  activityWrites.set(userId, now)
+  storage.touchUser(userId, username, command)
 }
 
 // Middleware для проверки rate limit
 bot.use(async (ctx, next) => {
   const userId = ctx.from?.id
   if (!userId) return
+
+  try {
+    const command = /^\/(\w+)/.exec(ctx.message?.text || '')?.[1] || null
+    touchUserActivity(userId, ctx.from.username, command)
+  } catch (error) {
+    console.error('Error saving user activity:', error.message)
+  }
   
   if (!checkRateLimit(userId)) {
     return ctx.reply('⚠️ Too many requests. Please wait a minute before trying again.')
@@ -751,23 +1600,209 @@ bot.use(async (ctx, next) => {
     await next()
   } catch (error) {
     console.error('Error processing command:', error)
-    ctx.reply('❌ An error occurred. Please try again later.')
+    await ctx.reply('❌ An error occurred. Please try again later.').catch(() => {})
   }
 })
 
 let previousStates = loadState()
 
+// Тексты usage: показываются при ошибке в аргументах и в /help <command>
+const COMMAND_USAGE = {
+  add: {
+    args: '<address> [label]',
+    description: 'Labels may contain spaces.',
+    examples: ['0x1234...abcd', '0x1234...abcd "Main wallet"']
+  },
+  delete: { args: '<address|label>', examples: ['main'] },
+  check: { args: '<address|label|group>', examples: ['main', '0x1234', 'hedges'] },
+  pnl: { args: '<address|label|group>', examples: ['main', '"Main wallet"', 'hedges'] },
+  trades: { args: '<address|label> [count]', description: 'Shows the last 1-20 trades (10 by default).', examples: ['main 20'] },
+  export: { args: '<address|label>', examples: ['main'] },
+  equity: { args: '<address|label> [24h|7d|30d|all]', examples: ['main 7d'] },
+  filter: {
+    args: '<address|label> [setting value]',
+    description: 'Settings:\n' +
+      '• minusd <amount> — minimum change in USD\n' +
+      '• minpct <percent> — minimum size change in %\n' +
+      '• include <SYM,SYM|all> — only these symbols\n' +
+      '• exclude <SYM,SYM|none> — skip these symbols\n' +
+      '• events <open,close,increase,reduce,flip|all>\n' +
+      '• reset — default settings',
+    examples: ['main minusd 1000', 'main include BTC,ETH']
+  },
+  mute: { args: '<address|label|group> [duration, e.g. 30m, 2h, 1d]', examples: ['main 2h'] },
+  unmute: { args: '<address|label|group>', examples: ['main'] },
+  group: {
+    args: 'create|add|remove|delete|list ...',
+    description: '• create <name> [wallets...] — new group\n' +
+      '• add <name> <wallets...> — add wallets to a group\n' +
+      '• remove <name> <wallets...> — remove wallets from a group\n' +
+      '• delete <name> — delete the group (wallets stay in your watchlist)\n' +
+      '• list — your groups',
+    examples: ['create hedges main backup', 'add hedges 0x1234', 'remove hedges backup']
+  },
+  exportlist: { args: '[csv|json]', examples: ['json'] },
+  list: { description: 'Your tracked wallets with action buttons.' },
+  portfolio: { description: 'Combined balance, exposure and shared positions across your wallets.' },
+  importlist: { description: 'Send a CSV (address,label) or JSON file with the caption /importlist.' },
+  leaderboard: {
+    args: '[24h|7d|30d|all] [pnl|return|winrate|pf|drawdown]',
+    description: 'Ranks your wallets for the period (7d by default) by realized PnL, return, win rate, profit factor or max drawdown.',
+    examples: ['30d', '7d winrate']
+  },
+  market: { args: '[symbol]', description: 'Without a symbol — the list of active markets.', examples: ['BTC'] },
+  quiet: {
+    args: '<HH:MM-HH:MM> [timezone] | off',
+    description: 'Events during quiet hours arrive as a digest. Without arguments shows the current setting.',
+    examples: ['23:00-07:00 Europe/Moscow', 'off']
+  },
+  webhook: {
+    args: 'add|list|remove|test|log ...',
+    description: '• add <url> — register an https webhook on a public host, the signing secret is shown once\n' +
+      '• list — your webhooks\n' +
+      '• remove <id>\n' +
+      '• test <id> — send a test event\n' +
+      '• log — recent deliveries\n\n' +
+      'Each POST carries X-Lighter-Signature: sha256=HMAC_SHA256(secret, "<X-Lighter-Timestamp>.<body>").',
+    examples: ['add https://example.com/hooks/lighter', 'test 1']
+  }
+}
+
+const WALLET_HINT = 'Wallets can be given by address, label (quote labels with spaces) or a unique prefix.'
+
+function usage(command) {
+  return formatUsage(command, COMMAND_USAGE[command])
+}
+
+function getCommandArgs(ctx) {
+  return parseArgs(ctx.message?.text).args
+}
+
+function formatWalletChoice(wallets) {
+  return wallets.map(w => `• ${w.label === w.address ? w.address : `${w.label} (${w.address})`}`).join('\n')
+}
+
+// Точное совпадение адреса или метки — для кнопок и внутренних вызовов
+function findUserWallet(userId, key) {
+  return resolveWallet(loadWatchlist()[userId] || {}, key, { prefix: false }).wallet || null
+}
+
+// Группы пользователя с кошельками из watchlist: [{ id, name, wallets: [{ address, label }] }]
+function loadUserGroups(userId) {
+  const userList = loadWatchlist()[userId] || {}
+  return storage.listGroups(userId).map(group => ({
+    id: group.id,
+    name: group.name,
+    wallets: group.addresses
+      .filter(address => userList[address] !== undefined)
+      .map(address => ({ address, label: userList[address] || address }))
+  }))
+}
+
+function findUserGroup(userId, name) {
+  const lower = String(name || '').toLowerCase()
+  return loadUserGroups(userId).find(group => group.name.toLowerCase() === lower) || null
+}
+
+// Проверка метки кошелька для /add и /importlist; null — метка подходит
+function validateLabel(userId, label) {
+  if (typeof label !== 'string') return 'Label must be text.'
+  if (label.length > CONFIG.MAX_LABEL_LENGTH) return `Label is too long (max ${CONFIG.MAX_LABEL_LENGTH} characters).`
+  if (findUserGroup(userId, label)) return `"${label}" is already a group name. Choose another label.`
+  return null
+}
+
+// Кошелек из аргумента команды. Если не нашли — сам отвечает usage, списком вариантов или подсказкой.
+// allowAnyAddress: допускается любой адрес, даже не из watchlist (/check, /pnl, /trades, /export)
+// exact: только полный адрес или метка — для команд, которые что-то удаляют; префикс лишь подсказываем
+function resolveCommandWallet(ctx, command, key, { allowAnyAddress = false, exact = false } = {}) {
+  if (!key) {
+    ctx.reply(usage(command))
+    return null
+  }
+
+  const userList = loadWatchlist()[ctx.from.id] || {}
+  const exactMatch = resolveWallet(userList, key, { prefix: false })
+  if (exactMatch.wallet) return exactMatch.wallet
+
+  const group = findUserGroup(ctx.from.id, key)
+  if (group) {
+    ctx.reply(`"${group.name}" is a wallet group. /${command} needs a single wallet; groups work with /check, /pnl, /mute and /unmute.`)
+    return null
+  }
+
+  const result = resolveWallet(userList, key)
+  if (result.wallet && exact) {
+    ctx.reply(`Did you mean ${formatWalletChoice([result.wallet]).slice(2)}?\n\n/${command} needs the full label or address.`)
+    return null
+  }
+  if (result.wallet) return result.wallet
+
+  const checksum = allowAnyAddress ? safeToChecksumAddress(key) : null
+  if (checksum) return { address: checksum, label: checksum }
+
+  if (result.ambiguous) {
+    ctx.reply(`Several wallets match "${key}":\n${formatWalletChoice(result.ambiguous)}\n\nPlease be more specific.`)
+  } else if (result.suggestions.length > 0) {
+    ctx.reply(`Address or label not found in your watchlist. Did you mean:\n${formatWalletChoice(result.suggestions)}`)
+  } else {
+    ctx.reply(`Address or label not found in your watchlist.\n\n${WALLET_HINT}`)
+  }
+  return null
+}
+
+// Как resolveCommandWallet, но имя группы тоже подходит: { wallet } | { group } | null.
+// Метка кошелька важнее имени группы (хотя /group create не дает их совмещать)
+function resolveCommandTarget(ctx, command, key, options) {
+  if (key && !findUserWallet(ctx.from.id, key)) {
+    const group = findUserGroup(ctx.from.id, key)
+    if (group) {
+      if (group.wallets.length === 0) {
+        ctx.reply(`Group "${group.name}" is empty. Use /group add ${group.name} <wallets...>`)
+        return null
+      }
+      return { group }
+    }
+  }
+  const wallet = resolveCommandWallet(ctx, command, key, options)
+  return wallet ? { wallet } : null
+}
+
+bot.command('help', ctx => {
+  const [command] = getCommandArgs(ctx)
+  const name = command?.replace(/^\//, '').toLowerCase()
+  if (!name) {
+    return ctx.reply(`Use /help <command> for usage and examples, or /start for the list of commands.\n\n${WALLET_HINT}`)
+  }
+  if (!COMMAND_USAGE[name]) return ctx.reply(`No usage help for /${name}. See /start for the list of commands.`)
+  return ctx.reply(usage(name))
+})
+
 bot.command('start', ctx => {
   const helpMessage = '*Welcome to ZkLighter Position Tracker!*\n\n' +
     'This bot tracks your positions and sends updates.\n\n' +
     '*Available commands:*\n\n' +
     '/add <address> [label] — Add address to your watchlist (max 5)\n' +
     '/delete <address|label> — Remove from your watchlist\n' +
-    '/list — Show all your tracked addresses\n' +
+    '/list — Your tracked addresses with action buttons\n' +
     '/check <address|label> — Show current positions\n' +
+    '/portfolio — Combined balance, exposure and shared positions across your wallets\n' +
+    '/group create|add|remove|delete|list — Wallet groups; /check, /pnl, /mute, /unmute accept group names\n' +
     '/pnl <address|label> — Show PnL statistics since tracking started\n' +
     '/trades <address|label> [count] — Show recent trade history\n' +
-    '/export <address|label> — Export PnL data to CSV\n\n' +
+    '/export <address|label> — Export PnL data to CSV\n' +
+    '/equity <address|label> [24h|7d|30d|all] — Equity curve with drawdowns\n' +
+    '/leaderboard [24h|7d|30d] [pnl|return|winrate|pf|drawdown] — Rank your wallets\n' +
+    '/importlist — Import wallets from a CSV or JSON file (address,label)\n' +
+    '/exportlist [csv|json] — Export your watchlist\n' +
+    '/market [symbol] — Lighter market info or list of markets\n' +
+    '/filter <address|label> [setting value] — Notification filters\n' +
+    '/mute <address|label> [30m|2h|1d] — Mute a wallet, events arrive as a digest\n' +
+    '/unmute <address|label> — Unmute a wallet\n' +
+    '/quiet <HH:MM-HH:MM> [timezone] | off — Quiet hours\n' +
+    '/webhook add|list|remove|test|log — Signed webhooks for position events\n' +
+    '/help <command> — Usage and examples for a command\n\n' +
+    '*Wallets* can be given by address, label or a unique prefix; quote labels with spaces.\n\n' +
     '*Limits:*\n' +
     `• Maximum ${CONFIG.MAX_ADDRESSES_PER_USER} addresses per user\n` +
     `• Maximum ${CONFIG.RATE_LIMIT_PER_USER} commands per minute\n` +
@@ -778,36 +1813,22 @@ bot.command('start', ctx => {
 })
 
 bot.command('check', async ctx => {
-  // 1. парсим ключ (адрес или метка)
-  const parts = ctx.message.text.trim().split(/\s+/)
-  const key = parts[1]
-  if (!key) {
-    return ctx.reply('use /check <address or label>')
-  }
-
-  // 2. ищем address и label в watchlist
-  const watchlist = loadWatchlist()
-  const userList = watchlist[ctx.from.id] || {}
-  let address, label
+  const [key] = getCommandArgs(ctx)
+  const target = resolveCommandTarget(ctx, 'check', key, { allowAnyAddress: true })
+  if (!target) return
+  if (target.group) return replyPortfolio(ctx, `Group: ${escapeHtml(target.group.name)}`, target.group.wallets)
+  return replyCheck(ctx, target.wallet.address, target.wallet.label)
+})
 
-  const checksum = safeToChecksumAddress(key)
-  if (checksum) {
-    address = checksum
-    label = userList[address] || key
-  } else {
-    const found = Object.entries(userList).find(([, lbl]) => lbl === key)
-    if (!found) {
-      return ctx.reply('address or label not found')
-    }
-    address = found[0]
-    label = key
+async function replyCheck(ctx, address, label) {
+  // 1. получаем данные
+  const data = await fetchWalletSnapshot(address)
+  if (data.status === 'error') {
+    return ctx.reply(`❌ Failed to fetch wallet data: ${data.error}`)
   }
-
-  // 3. получаем данные
-  const data = await fetchPositions(address)
   const formatted = formatPositionsMobile(data.positions)
 
-  // 4. считаем общее кол‑во лонгов и шортов
+  // 2. считаем общее кол‑во лонгов и шортов
   const longs = Object.values(data.positions).filter(p => p.sign === 1)
   const shorts = Object.values(data.positions).filter(p => p.sign === -1)
   const longsCount  = Object.values(data.positions).filter(p => p.sign === 1).length
@@ -815,8 +1836,9 @@ bot.command('check', async ctx => {
   const longsValue  = longs.reduce((s, p) => s + (p.position_value || 0), 0)
   const shortsValue = shorts.reduce((s, p) => s + (p.position_value || 0), 0)
 
-  // 5. формируем заголовок
-  let header = `📊 <b>${label}</b>\n`
+  // 3. формируем заголовок
+  let header = formatStaleNotice(data)
+  header += `📊 <b>${escapeHtml(label)}</b>\n`
   header += `<code>${address.slice(0,6)}...${address.slice(-4)}</code>\n`
   header += `Balance: <code>$${data.balance.toFixed(2)}</code>\n`
   header += `Avg Leverage: <code>${(Object.values(data.positions)
@@ -825,48 +1847,55 @@ bot.command('check', async ctx => {
   header += `Longs/Shorts value: <code>$${longsValue.toFixed(2)}/$${shortsValue.toFixed(2)}</code>\n`
   header += '\n━━━━━━━━━━━━━━━━━━━━\n\n'
 
-  // 6. отправляем ответ
+  // 4. отправляем ответ
   ctx.reply(header + formatted, { parse_mode: 'HTML' })
-})
+}
 
-bot.command('pnl', async ctx => {
-  // 1. парсим ключ (адрес или метка)
-  const parts = ctx.message.text.trim().split(/\s+/)
-  const key = parts[1]
-  if (!key) {
-    return ctx.reply('use /pnl <address or label>')
-  }
+bot.command('portfolio', async ctx => {
+  const userList = loadWatchlist()[ctx.from.id] || {}
+  const addresses = Object.keys(userList)
+  if (addresses.length === 0) return ctx.reply('Your watchlist is empty. Use /add first.')
 
-  // 2. ищем address и label в watchlist
-  const watchlist = loadWatchlist()
-  const userList = watchlist[ctx.from.id] || {}
-  let address, label
+  return replyPortfolio(ctx, 'Portfolio', addresses.map(address => ({ address, label: userList[address] || address })))
+})
 
-  const checksum = safeToChecksumAddress(key)
-  if (checksum) {
-    address = checksum
-    label = userList[address] || key
-  } else {
-    const found = Object.entries(userList).find(([, lbl]) => lbl === key)
-    if (!found) {
-      return ctx.reply('address or label not found')
-    }
-    address = found[0]
-    label = key
-  }
+// Сводка по списку кошельков [{ address, label }]: весь watchlist (/portfolio) или группа (/check)
+async function replyPortfolio(ctx, title, wallets) {
+  const snapshots = await Promise.all(wallets.map(async wallet => ({
+    ...wallet,
+    data: await fetchWalletSnapshot(wallet.address)
+  })))
+
+  const stale = snapshots.find(wallet => wallet.data.status === 'stale')
+  const header = stale ? formatStaleNotice(stale.data) : ''
+  const portfolio = formatPortfolio(title, aggregatePortfolio(snapshots), CONFIG.MESSAGE_LIMIT - header.length)
+  return ctx.reply(header + portfolio, { parse_mode: 'HTML' })
+}
 
-  // 3. получаем текущие данные и статистику PnL
-  const data = await fetchPositions(address)
+bot.command('pnl', async ctx => {
+  const [key] = getCommandArgs(ctx)
+  const target = resolveCommandTarget(ctx, 'pnl', key, { allowAnyAddress: true })
+  if (!target) return
+  if (target.group) return replyGroupPnL(ctx, target.group)
+  return replyPnL(ctx, target.wallet.address, target.wallet.label)
+})
+
+async function replyPnL(ctx, address, label) {
+  // 1. получаем текущие данные и статистику PnL
+  const snapshot = await fetchWalletSnapshot(address)
   const pnlStats = getWalletPnLStats(address)
 
   if (!pnlStats) {
     return ctx.reply('❌ PnL statistics not available for this wallet. Maybe tracking started recently.')
   }
 
+  // Без свежих данных берем последний известный баланс
+  const data = snapshot.status === 'error' ? { ...snapshot, balance: pnlStats.lastBalance || 0 } : snapshot
+
   // Проверяем, началось ли отслеживание совсем недавно
   const daysTracked = parseFloat(pnlStats.daysTracked)
   if (daysTracked < 0.1) {
-    let message = `💰 <b>PnL Statistics: ${label}</b> <code>${address.slice(0,6)}...${address.slice(-4)}</code>\n\n`
+    let message = `💰 <b>PnL Statistics: ${escapeHtml(label)}</b> <code>${address.slice(0,6)}...${address.slice(-4)}</code>\n\n`
     message += `⚠️ <b>Tracking just started!</b>\n\n`
     message += `<b>Tracking:</b> ${pnlStats.daysTracked} days\n`
     message += `<b>Current balance:</b> <code>$${data.balance.toFixed(2)}</code>\n`
@@ -876,8 +1905,8 @@ bot.command('pnl', async ctx => {
     return ctx.reply(message, { parse_mode: 'HTML' })
   }
 
-  // 4. формируем сообщение со статистикой
-  const totalPnLFormatted = (pnlStats.totalPnL >= 0 ? '+' : '') + pnlStats.totalPnL.toFixed(2)
+  // 2. формируем сообщение со статистикой
+  const netPnLFormatted = (pnlStats.netPnL >= 0 ? '+' : '') + pnlStats.netPnL.toFixed(2)
   const realizedPnLFormatted = (pnlStats.realizedPnL >= 0 ? '+' : '') + pnlStats.realizedPnL.toFixed(2)
   const unrealizedPnLFormatted = (pnlStats.unrealizedPnL >= 0 ? '+' : '') + pnlStats.unrealizedPnL.toFixed(2)
   const avgPnLPerDayFormatted = pnlStats.avgPnLPerDay === 'N/A' ? 'N/A' : (parseFloat(pnlStats.avgPnLPerDay) >= 0 ? '+' : '') + pnlStats.avgPnLPerDay
@@ -885,16 +1914,17 @@ bot.command('pnl', async ctx => {
   const avgWinFormatted = (parseFloat(pnlStats.avgWin) >= 0 ? '+' : '') + pnlStats.avgWin
   const avgLossFormatted = pnlStats.avgLoss
 
-  let message = `💰 <b>PnL Statistics: ${label}</b>\n`
+  let message = `💰 <b>PnL Statistics: ${escapeHtml(label)}</b>\n`
   message += `<code>${address.slice(0,6)}...${address.slice(-4)}</code>\n\n`
   
   message += `<b>Tracking:</b> ${pnlStats.daysTracked} days\n`
   message += `<b>Closed trades:</b> ${pnlStats.totalTrades}\n`
   message += `<b>Win rate:</b> ${pnlStats.winRate}% (${pnlStats.winningTrades}/${pnlStats.totalTrades})\n\n`
   
-  message += `<b>Total PnL:</b> <code>${totalPnLFormatted}$</code>\n`
+  message += `<b>Net PnL:</b> <code>${netPnLFormatted}$</code>\n`
   message += `<b>Realized:</b> <code>${realizedPnLFormatted}$</code>\n`
-  message += `<b>Unrealized:</b> <code>${unrealizedPnLFormatted}$</code>\n\n`
+  message += `<b>Unrealized:</b> <code>${unrealizedPnLFormatted}$</code>\n`
+  message += formatCostLines(pnlStats) + formatHistoryGaps(pnlStats) + '\n'
   
   message += `<b>Average PnL/trade:</b> <code>${avgPnLPerTradeFormatted}$</code>\n`
   message += `<b>Average win:</b> <code>${avgWinFormatted}$</code>\n`
@@ -911,68 +1941,166 @@ bot.command('pnl', async ctx => {
     message += `<b>Average holding time:</b> <code>${pnlStats.avgHoldTime}h</code>\n`
   }
   
+  const breakdown = formatCostBreakdown(pnlStats)
+  if (breakdown) message += `\n<b>Funding / fees by symbol:</b>\n${breakdown}\n`
+
   // Добавляем процентную доходность если есть данные
-  if (data.balance > 0 && pnlStats.totalPnL !== 0) {
-    const totalReturnPercent = (pnlStats.totalPnL / data.balance) * 100
+  if (data.balance > 0 && pnlStats.netPnL !== 0) {
+    const totalReturnPercent = (pnlStats.netPnL / data.balance) * 100
     const totalReturnFormatted = (totalReturnPercent >= 0 ? '+' : '') + totalReturnPercent.toFixed(2)
     message += `📊 <b>Total return:</b> <code>${totalReturnFormatted}%</code>`
   }
 
   ctx.reply(message, { parse_mode: 'HTML' })
-})
+}
 
-bot.command('trades', async ctx => {
-  // 1. парсим ключ (адрес или метка)
-  const parts = ctx.message.text.trim().split(/\s+/)
-  const key = parts[1]
-  if (!key) {
-    return ctx.reply('use /trades <address or label> [count]')
-  }
+// Funding и комиссии — отдельными строками, из них складывается net PnL
+// Комиссии хранятся как уплаченные: отрицательная сумма — ребейт мейкера, он в плюс
+function formatFee(fee, digits = 2) {
+  return `${fee > 0 ? '-' : fee < 0 ? '+' : ''}${Math.abs(fee).toFixed(digits)}$`
+}
 
-  // 2. ищем address и label в watchlist
-  const watchlist = loadWatchlist()
-  const userList = watchlist[ctx.from.id] || {}
-  let address, label
+function formatCostLines(stats) {
+  const funding = stats.fundingPnL || 0
+  const fees = stats.feesPaid || 0
+  return `<b>Funding:</b> <code>${funding >= 0 ? '+' : ''}${funding.toFixed(2)}$</code>\n` +
+    `<b>Fees:</b> <code>${formatFee(fees)}</code>\n`
+}
 
-  const checksum = safeToChecksumAddress(key)
-  if (checksum) {
-    address = checksum
-    label = userList[address] || key
-  } else {
-    const found = Object.entries(userList).find(([, lbl]) => lbl === key)
-    if (!found) {
-      return ctx.reply('address or label not found')
-    }
-    address = found[0]
-    label = key
+// Предупреждение, если часть fills или funding не была загружена
+function formatHistoryGaps(stats) {
+  const gaps = stats.historyGaps || []
+  if (!gaps.length) return ''
+  const types = [...new Set(gaps.map(gap => gap.type))].join(' and ')
+  return `⚠️ <i>Some ${types} history was skipped (last gap ${formatDateTime(gaps[gaps.length - 1].timestamp)})</i>\n`
+}
+
+// Символы с наибольшими funding + комиссиями, по модулю
+function formatCostBreakdown(stats, limit = 5) {
+  const funding = stats.funding?.bySymbol || {}
+  const fees = stats.fees?.bySymbol || {}
+  const symbols = [...new Set([...Object.keys(funding), ...Object.keys(fees)])]
+    .sort((a, b) => (Math.abs(funding[b] || 0) + (fees[b] || 0)) - (Math.abs(funding[a] || 0) + (fees[a] || 0)))
+  return symbols.slice(0, limit).map(symbol => {
+    const f = funding[symbol] || 0
+    const fee = fees[symbol] || 0
+    return `${symbol}: <code>${f >= 0 ? '+' : ''}${f.toFixed(2)}$</code> / <code>${formatFee(fee)}</code>`
+  }).join('\n')
+}
+
+// Статистика группы: сделки всех кошельков вместе, просадка — по суммарному балансу
+function getGroupPnLStats(wallets) {
+  const members = wallets
+    .map(wallet => ({ ...wallet, stats: getWalletPnLStats(wallet.address) }))
+    .filter(member => member.stats)
+  if (members.length === 0) return null
+
+  const summary = pnl.summarizeLots(members.flatMap(member => member.stats.closedLots))
+  const sum = key => members.reduce((total, member) => total + (member.stats[key] || 0), 0)
+  const { maxDrawdown } = pnl.findDrawdowns(pnl.sumSeries(members.map(member =>
+    member.stats.balanceHistory.map(record => ({ time: record.timestamp, value: record.balance }))
+  )))
+
+  let profitFactor = 'N/A'
+  if (summary.profitFactor === Infinity) profitFactor = '∞'
+  else if (summary.profitFactor !== null) profitFactor = summary.profitFactor.toFixed(2)
+
+  return {
+    members,
+    missing: wallets.filter(wallet => !members.some(member => member.address === wallet.address)),
+    daysTracked: Math.max(...members.map(member => parseFloat(member.stats.daysTracked))).toFixed(1),
+    totalPnL: sum('totalPnL'),
+    netPnL: sum('netPnL'),
+    realizedPnL: sum('realizedPnL'),
+    unrealizedPnL: sum('unrealizedPnL'),
+    fundingPnL: sum('fundingPnL'),
+    feesPaid: sum('feesPaid'),
+    lastBalance: sum('lastBalance'),
+    totalTrades: summary.totalTrades,
+    winningTrades: summary.winningTrades,
+    winRate: summary.winRate.toFixed(1),
+    avgWin: summary.avgWin.toFixed(2),
+    avgLoss: summary.avgLoss.toFixed(2),
+    profitFactor,
+    expectancy: summary.expectancy === null ? 'N/A' : summary.expectancy.toFixed(2),
+    maxDrawdown: maxDrawdown.toFixed(2)
+  }
+}
+
+async function replyGroupPnL(ctx, group) {
+  const stats = getGroupPnLStats(group.wallets)
+  if (!stats) return ctx.reply('❌ PnL statistics not available for wallets in this group yet.')
+
+  const signed = value => (value >= 0 ? '+' : '') + value.toFixed(2)
+
+  let message = `💰 <b>PnL Statistics: group ${escapeHtml(group.name)}</b>\n`
+  message += `Wallets: <code>${stats.members.length}</code>\n\n`
+
+  message += `<b>Tracking:</b> ${stats.daysTracked} days\n`
+  message += `<b>Closed trades:</b> ${stats.totalTrades}\n`
+  message += `<b>Win rate:</b> ${stats.winRate}% (${stats.winningTrades}/${stats.totalTrades})\n\n`
+
+  message += `<b>Net PnL:</b> <code>${signed(stats.netPnL)}$</code>\n`
+  message += `<b>Realized:</b> <code>${signed(stats.realizedPnL)}$</code>\n`
+  message += `<b>Unrealized:</b> <code>${signed(stats.unrealizedPnL)}$</code>\n`
+  message += formatCostLines(stats) + '\n'
+
+  message += `<b>Average win:</b> <code>+${stats.avgWin}$</code>\n`
+  message += `<b>Average loss:</b> <code>${stats.avgLoss}$</code>\n`
+  message += `<b>Profit Factor:</b> <code>${stats.profitFactor}</code>\n`
+  message += `<b>Expectancy:</b> <code>${stats.expectancy === 'N/A' ? 'N/A' : stats.expectancy + '$'}</code>\n`
+  message += `<b>Max drawdown:</b> <code>${stats.maxDrawdown}%</code> (combined balance)\n`
+  message += `<b>Combined balance:</b> <code>$${stats.lastBalance.toFixed(2)}</code>\n`
+
+  message += '\n━━━━━━━━━━━━━━━━━━━━\n\n'
+  stats.members
+    .slice()
+    .sort((a, b) => b.stats.netPnL - a.stats.netPnL)
+    .forEach(member => {
+      message += `${member.stats.netPnL >= 0 ? '📈' : '📉'} <b>${escapeHtml(member.label)}</b>: <code>${signed(member.stats.netPnL)}$</code>` +
+        ` · ${member.stats.totalTrades} trades\n`
+    })
+  if (stats.missing.length) {
+    message += `\n⚠️ <i>No statistics yet: ${escapeHtml(stats.missing.map(wallet => wallet.label).join(', '))}</i>`
   }
 
-  // 3. получаем историю сделок
+  return ctx.reply(message.trimEnd(), { parse_mode: 'HTML' })
+}
+
+bot.command('trades', async ctx => {
+  const [key, count] = getCommandArgs(ctx)
+  const wallet = resolveCommandWallet(ctx, 'trades', key, { allowAnyAddress: true })
+  if (!wallet) return
+  return replyTrades(ctx, wallet.address, wallet.label, parseInt(count))
+})
+
+async function replyTrades(ctx, address, label, count) {
+  // 1. получаем историю сделок
   const pnlStats = getWalletPnLStats(address)
   if (!pnlStats || !pnlStats.tradeHistory) {
     return ctx.reply('❌ Trade history not available for this wallet.')
   }
 
-  // 4. определяем количество сделок для показа
-  const limit = parseInt(parts[2]) || 10
-  const maxLimit = Math.min(limit, 20) // максимум 20 сделок
+  // 2. определяем количество сделок для показа: от 1 до 20, по умолчанию 10
+  const limit = Math.min(Math.max(count || 10, 1), 20)
   
-  // 5. фильтруем только закрытые сделки и сортируем по времени
-  const closedTrades = pnlStats.tradeHistory
-    .filter(t => t.type === 'close' || t.type === 'partial_close')
+  // 3. последние fills, от новых к старым
+  const fills = pnlStats.tradeHistory
+    .slice()
     .sort((a, b) => b.timestamp - a.timestamp)
-    .slice(0, maxLimit)
+    .slice(0, limit)
 
-  if (closedTrades.length === 0) {
-    return ctx.reply('📭 No closed trades to display.')
+  if (fills.length === 0) {
+    return ctx.reply('📭 No trades to display.')
   }
 
-  // 6. формируем сообщение
-  let message = `📊 <b>Trade history: ${label}</b>\n`
+  // 4. формируем сообщение
+  let message = `📊 <b>Trade history: ${escapeHtml(label)}</b>\n`
   message += `<code>${address.slice(0,6)}...${address.slice(-4)}</code>\n`
-  message += `Shown: ${closedTrades.length} of ${pnlStats.tradeHistory.filter(t => t.type === 'close' || t.type === 'partial_close').length}\n\n`
+  message += `Shown: ${fills.length} of ${pnlStats.tradeHistory.length}\n`
+  message += formatCostLines(pnlStats) + '\n'
 
-  closedTrades.forEach((trade, index) => {
+  const blocks = fills.map((trade, index) => {
     const date = new Date(trade.timestamp).toLocaleString('ru-RU', {
       day: '2-digit',
       month: '2-digit',
@@ -980,71 +2108,72 @@ bot.command('trades', async ctx => {
       minute: '2-digit'
     })
     
-    const pnlFormatted = (trade.pnl >= 0 ? '+' : '') + trade.pnl.toFixed(2)
-    const sideEmoji = trade.side === 'LONG' ? '📗' : '📕'
-    const pnlEmoji = trade.pnl >= 0 ? '✅' : '❌'
+    const fillSide = getFillSide(trade)
+    const sideEmoji = fillSide === 'buy' ? '📗' : '📕'
+    const isClosing = isClosingTrade(trade)
     
-    message += `${index + 1}. ${sideEmoji} <b>${trade.symbol}</b> ${trade.side}\n`
-    message += `   Size: <code>${trade.size}</code>\n`
-    message += `   Entry: <code>$${trade.entryPrice}</code>\n`
-    message += `   Exit: <code>$${trade.exitPrice}</code>\n`
-    message += `   ${pnlEmoji} PnL: <code>${pnlFormatted}$</code>\n`
-    message += `   📅 ${date}\n\n`
+    let block = `${index + 1}. ${sideEmoji} <b>${trade.symbol}</b> ${fillSide.toUpperCase()} · ${TRADE_TYPE_LABELS[trade.type] || trade.type}\n`
+    block += `   Size: <code>${markets.formatSize(trade.symbol, trade.size)}</code>\n`
+    block += `   Price: <code>$${markets.formatPrice(trade.symbol, getFillPrice(trade))}</code>\n`
+    if (isClosing) {
+      const pnlFormatted = (trade.pnl >= 0 ? '+' : '') + trade.pnl.toFixed(2)
+      block += `   Entry: <code>$${markets.formatPrice(trade.symbol, trade.entryPrice)}</code>\n`
+      block += `   ${trade.pnl >= 0 ? '✅' : '❌'} PnL: <code>${pnlFormatted}$</code>\n`
+    }
+    // у сделок из старой истории комиссии нет; отрицательная — ребейт
+    if (trade.fee !== undefined) {
+      block += `   Fee: <code>${formatFee(trade.fee, 4)}</code>\n`
+    }
+    return block + `   📅 ${date}\n\n`
   })
 
-  ctx.reply(message, { parse_mode: 'HTML' })
-})
+  ctx.reply(fitMessage(message, blocks, hidden => `<i>...and ${hidden} more</i>`).trimEnd(), { parse_mode: 'HTML' })
+}
 
 bot.command('export', async ctx => {
-  // 1. парсим ключ (адрес или метка)
-  const parts = ctx.message.text.trim().split(/\s+/)
-  const key = parts[1]
-  if (!key) {
-    return ctx.reply('use /export <address or label>')
-  }
-
-  // 2. ищем address и label в watchlist
-  const watchlist = loadWatchlist()
-  const userList = watchlist[ctx.from.id] || {}
-  let address, label
-
-  const checksum = safeToChecksumAddress(key)
-  if (checksum) {
-    address = checksum
-    label = userList[address] || key
-  } else {
-    const found = Object.entries(userList).find(([, lbl]) => lbl === key)
-    if (!found) {
-      return ctx.reply('address or label not found')
-    }
-    address = found[0]
-    label = key
-  }
+  const [key] = getCommandArgs(ctx)
+  const wallet = resolveCommandWallet(ctx, 'export', key, { allowAnyAddress: true })
+  if (!wallet) return
+  return replyExport(ctx, wallet.address, wallet.label)
+})
 
-  // 3. получаем данные PnL
+async function replyExport(ctx, address, label) {
+  // 1. получаем данные PnL
   const pnlStats = getWalletPnLStats(address)
   if (!pnlStats || !pnlStats.tradeHistory) {
     return ctx.reply('❌ PnL data not available for this wallet.')
   }
 
-  // 4. создаем CSV файл
+  // 2. создаем CSV файл
   const csvData = []
   
   // Заголовок
-  csvData.push('Date,Symbol,Side,Size,Entry Price,Exit Price,PnL,Type')
+  csvData.push('Date,Trade ID,Symbol,Side,Position Side,Size,Price,Entry Price,PnL,Fee,Funding,Type')
   
-  // Данные сделок
-  const closedTrades = pnlStats.tradeHistory
-    .filter(t => t.type === 'close' || t.type === 'partial_close')
+  // Все fills по времени
+  const fills = pnlStats.tradeHistory
+    .slice()
     .sort((a, b) => a.timestamp - b.timestamp)
-  
-  closedTrades.forEach(trade => {
-    const date = new Date(trade.timestamp).toISOString()
-    const side = trade.side === 'LONG' ? 'LONG' : 'SHORT'
-    const type = trade.type === 'close' ? 'Close' : 'Partial Close'
-    
-    csvData.push(`${date},${trade.symbol},${side},${trade.size},${trade.entryPrice},${trade.exitPrice},${trade.pnl},${type}`)
-  })
+  const closedTrades = fills.filter(isClosingTrade)
+  
+  // Fills и начисления funding в одной таблице по времени
+  const rows = [
+    ...fills.map(trade => {
+      const date = new Date(trade.timestamp).toISOString()
+      const type = TRADE_TYPE_LABELS[trade.type] || trade.type
+      return {
+        timestamp: trade.timestamp,
+        line: `${date},${trade.tradeId ?? ''},${trade.symbol},${getFillSide(trade).toUpperCase()},${(trade.side || '').toUpperCase()},${trade.size},${getFillPrice(trade)},${trade.entryPrice ?? ''},${trade.pnl},${trade.fee || 0},0,${type}`
+      }
+    }),
+    ...(pnlStats.fundingHistory || []).map(funding => ({
+      timestamp: funding.timestamp,
+      line: `${new Date(funding.timestamp).toISOString()},,${funding.symbol},,${(funding.side || '').toUpperCase()},${funding.positionSize},,,0,0,${funding.amount},Funding`
+    }))
+  ]
+  rows
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .forEach(row => csvData.push(row.line))
   
   const csvContent = csvData.join('\n')
   const filename = `pnl_${address.slice(0,8)}_${Date.now()}.csv`
@@ -1058,7 +2187,11 @@ bot.command('export', async ctx => {
       caption: `📊 Export PnL data for ${label}\n\n` +
         `📅 Period: ${pnlStats.daysTracked} days\n` +
         `🔄 Trades: ${closedTrades.length}\n` +
-        `📈 Total PnL: ${(pnlStats.totalPnL >= 0 ? '+' : '') + pnlStats.totalPnL.toFixed(2)}$\n` +
+        `📈 Net PnL: ${(pnlStats.netPnL >= 0 ? '+' : '') + pnlStats.netPnL.toFixed(2)}$\n` +
+        `   Realized: ${(pnlStats.realizedPnL >= 0 ? '+' : '') + pnlStats.realizedPnL.toFixed(2)}$, ` +
+        `unrealized: ${(pnlStats.unrealizedPnL >= 0 ? '+' : '') + pnlStats.unrealizedPnL.toFixed(2)}$\n` +
+        `   Funding: ${(pnlStats.fundingPnL >= 0 ? '+' : '') + pnlStats.fundingPnL.toFixed(2)}$, ` +
+        `fees: ${formatFee(pnlStats.feesPaid)}\n` +
         `📊 Win rate: ${pnlStats.winRate}%`
     })
     
@@ -1068,19 +2201,181 @@ bot.command('export', async ctx => {
     console.error('Error exporting CSV:', error)
     ctx.reply('❌ Error creating export file.')
   }
+}
+
+// Период для /equity: 24h, 7d, 30d, 2w... или all
+function parsePeriod(input) {
+  if (!input) return { label: '7d', ms: parseDuration('7d') }
+  if (input.toLowerCase() === 'all') return { label: 'all', ms: Infinity }
+  const ms = parseDuration(input)
+  return ms ? { label: input.toLowerCase(), ms } : null
+}
+
+bot.command('equity', async ctx => {
+  const [key, periodArg] = getCommandArgs(ctx)
+  const wallet = resolveCommandWallet(ctx, 'equity', key)
+  if (!wallet) return
+  const period = parsePeriod(periodArg)
+  if (!period) return ctx.reply('❌ Invalid period. Use e.g. 24h, 7d, 30d or all.')
+
+  const { address, label } = wallet
+  const stats = walletPnL[address]
+  if (!stats) return ctx.reply('❌ PnL data not available for this wallet.')
+
+  const since = Date.now() - period.ms
+  const points = stats.balanceHistory
+    .filter(record => record.timestamp >= since)
+    .map(record => {
+      const unrealized = record.unrealizedPnL || 0
+      return {
+        time: Math.floor(record.timestamp / 1000),
+        balance: record.balance,
+        equity: record.balance + unrealized
+      }
+    })
+  if (points.length < 2) {
+    return ctx.reply('❌ Not enough balance history for this period yet.')
+  }
+
+  const trades = (stats.tradeHistory || [])
+    .filter(trade => trade.timestamp >= since && isClosingTrade(trade))
+    .map(trade => ({ time: Math.floor(trade.timestamp / 1000), pnl: trade.pnl }))
+  const { maxDrawdown, periods } = pnl.findDrawdowns(
+    points.map(p => ({ time: p.time, value: p.equity })),
+    CONFIG.EQUITY_MIN_DRAWDOWN
+  )
+
+  const first = points[0].equity
+  const last = points[points.length - 1].equity
+  const change = last - first
+  const changePct = first > 0 ? change / first * 100 : 0
+  const realized = trades.reduce((sum, trade) => sum + trade.pnl, 0)
+  const sign = value => (value >= 0 ? '+' : '')
+
+  const caption =
+    `📈 <b>Equity: ${escapeHtml(label)}</b>  <code>${address.slice(0, 6)}...${address.slice(-4)}</code>\n\n` +
+    `<b>Period:</b> ${period.label}\n` +
+    `<b>Equity:</b> <code>$${last.toFixed(2)}</code> (<code>${sign(change)}${change.toFixed(2)}$</code>, ${sign(changePct)}${changePct.toFixed(2)}%)\n` +
+    `<b>Max drawdown:</b> <code>${maxDrawdown.toFixed(2)}%</code>\n` +
+    `<b>Realized:</b> <code>${sign(realized)}${realized.toFixed(2)}$</code> in ${trades.length} trades`
+
+  try {
+    const image = await metrics.timeChartRender('equity', () => renderEquityChart({
+      title: `${label} — equity ${period.label}`,
+      points,
+      trades,
+      drawdowns: periods
+    }))
+    await ctx.replyWithPhoto({ source: image }, { caption, parse_mode: 'HTML' })
+  } catch (error) {
+    console.error('Error rendering equity chart:', error.message)
+    ctx.reply(caption, { parse_mode: 'HTML' })
+  }
+})
+
+// Метрики /leaderboard: value(stats) -> число или null (нет данных — в конец списка)
+const LEADERBOARD_METRICS = {
+  pnl: { title: 'Realized PnL', value: s => s.closedPnL },
+  return: { title: 'Return', value: s => s.returnPct },
+  winrate: { title: 'Win rate', value: s => (s.totalTrades > 0 ? parseFloat(s.winRate) : null) },
+  pf: { title: 'Profit factor', value: s => s.profitFactorValue },
+  drawdown: { title: 'Max drawdown', value: s => s.maxDrawdownValue, ascending: true }
+}
+const LEADERBOARD_ALIASES = { profit: 'pnl', roi: 'return', wr: 'winrate', dd: 'drawdown' }
+
+// Аргументы в любом порядке: период и метрика. null — не разобрали
+function parseLeaderboardArgs(args) {
+  let period = parsePeriod()
+  let metric = 'pnl'
+  for (const arg of args) {
+    const name = LEADERBOARD_ALIASES[arg.toLowerCase()] || arg.toLowerCase()
+    if (LEADERBOARD_METRICS[name]) metric = name
+    else if (parsePeriod(arg)) period = parsePeriod(arg)
+    else return null
+  }
+  return { period, metric }
+}
+
+// wallets: [{ address, label }] -> отсортированные строки { address, label, stats, value }
+function buildLeaderboard(wallets, period, metric) {
+  const since = period.ms === Infinity ? null : Date.now() - period.ms
+  const { value, ascending } = LEADERBOARD_METRICS[metric]
+  const rows = wallets
+    .map(wallet => ({ ...wallet, stats: getWalletPnLStats(wallet.address, since) }))
+    .filter(row => row.stats)
+    .map(row => ({ ...row, value: value(row.stats) }))
+
+  return rows.sort((a, b) => {
+    if (a.value === null || b.value === null) return (a.value === null) - (b.value === null)
+    if (a.value === b.value) return 0
+    return (ascending ? a.value > b.value : a.value < b.value) ? 1 : -1
+  })
+}
+
+function formatLeaderboard(title, rows, { period, metric, total }) {
+  const signed = value => (value >= 0 ? '+' : '') + value.toFixed(2)
+  const medals = ['🥇', '🥈', '🥉']
+  const shown = rows.slice(0, CONFIG.LEADERBOARD_SIZE)
+
+  let message = `🏆 <b>${title}</b> · ${period.label} · ${LEADERBOARD_METRICS[metric].title}\n`
+  message += `Wallets: <code>${rows.length}</code>${total > rows.length ? ` (${total - rows.length} without statistics)` : ''}\n\n`
+  if (shown.length === 0) return message + '📭 No statistics yet.'
+
+  const blocks = shown.map((row, index) => {
+    const s = row.stats
+    const returnText = s.returnPct === null ? 'N/A' : `${signed(s.returnPct)}%`
+    const drawdownText = s.maxDrawdownValue === null ? 'N/A' : `${s.maxDrawdown}%`
+    return `${medals[index] || `${index + 1}.`} <b>${escapeHtml(truncateLabel(row.label))}</b>\n` +
+      `   PnL <code>${signed(s.closedPnL)}$</code> · Return <code>${returnText}</code>\n` +
+      `   WR <code>${s.winRate}%</code> (${s.winningTrades}/${s.totalTrades}) · PF <code>${s.profitFactor}</code> · DD <code>${drawdownText}</code>\n`
+  })
+
+  const top = count => `\n<i>Top ${count} of ${rows.length}</i>`
+  const hidden = rows.length > shown.length ? top(shown.length) : ''
+  const body = message + blocks.join('')
+  if (body.length + hidden.length <= CONFIG.MESSAGE_LIMIT) return (body + hidden).trimEnd()
+  return fitMessage(message, blocks, count => top(shown.length - count)).trimEnd()
+}
+
+bot.command('leaderboard', ctx => {
+  const options = parseLeaderboardArgs(getCommandArgs(ctx))
+  if (!options) return ctx.reply(usage('leaderboard'))
+
+  const userList = loadWatchlist()[ctx.from.id] || {}
+  const wallets = Object.keys(userList).map(address => ({ address, label: userList[address] || address }))
+  if (wallets.length === 0) return ctx.reply('Your watchlist is empty. Use /add first.')
+
+  const rows = buildLeaderboard(wallets, options.period, options.metric)
+  ctx.reply(formatLeaderboard('Leaderboard', rows, { ...options, total: wallets.length }), { parse_mode: 'HTML' })
 })
 
+// Состояние и PnL для только что добавленного кошелька
+async function initializeTrackedWallet(address, initialState) {
+  // Инициализируем состояние ОБЯЗАТЕЛЬНО (снимок с ошибкой не сохраняем — с ним нельзя сравнивать)
+  if (initialState.status === 'ok') {
+    previousStates[address] = initialState
+    saveState(address)
+  }
+  
+  // Инициализируем PnL для нового кошелька
+  initializeWalletPnL(address, initialState.balance)
+  try {
+    await ingestFills(address, initialState)
+    await ingestFunding(address, initialState)
+  } catch (error) {
+    console.error(`⚠️ Error syncing fills for new address ${address}:`, error.message)
+  }
+}
 
 bot.command('add', async ctx => {
   const userId = ctx.from.id
-  const input = ctx.message.text.split(' ').slice(1)
-  if (input.length === 0) return ctx.reply('Usage: /add address [label]')
+  const input = getCommandArgs(ctx)
+  if (input.length === 0) return ctx.reply(usage('add'))
 
   const address = safeToChecksumAddress(input[0])
   if (!address) return ctx.reply('Invalid address.')
 
-  const watchlist = loadWatchlist()
-  const userAddresses = watchlist[userId] || {}
+  const userAddresses = loadWatchlist()[userId] || {}
   const limits = getUserLimits(userId)
   
   if (Object.keys(userAddresses).length >= limits.maxAddresses) {
@@ -1092,37 +2387,36 @@ bot.command('add', async ctx => {
     return ctx.reply('❌ This address is already in your watchlist.')
   }
 
-  const label = input[1] || null
+  // метка может быть в кавычках или просто из нескольких слов
+  const label = input.slice(1).join(' ').trim() || null
+  const labelError = label && validateLabel(userId, label)
+  if (labelError) return ctx.reply(`❌ ${labelError}`)
   
   // Сначала получаем текущее состояние позиций
-  let initialState
-  try {
-    ctx.reply('🔄 Adding wallet and fetching initial state...')
-    initialState = await fetchPositions(address)
-  } catch (error) {
-    console.error('Error fetching initial state for new address:', error)
+  ctx.reply('🔄 Adding wallet and fetching initial state...')
+  const initialState = await fetchPositions(address)
+  // Аккаунта в Lighter может еще не быть — это не ошибка, состояние появится при первом успешном опросе
+  if (initialState.status === 'error' && !initialState.notFound) {
+    console.error(`Error fetching initial state for new address ${address}:`, initialState.error)
     return ctx.reply('❌ Failed to fetch wallet data. Please check the address and try again.')
   }
 
-  // Только после успешного получения данных добавляем в watchlist
-  userAddresses[address] = label
-  watchlist[userId] = userAddresses
-  saveWatchlist(watchlist)
-  
-  // Инициализируем состояние ОБЯЗАТЕЛЬНО
-  previousStates[address] = initialState
-  saveState(previousStates)
+  // Только после успешного получения данных добавляем в watchlist;
+  // пока шел запрос, адрес мог появиться из другого обработчика
+  if (!storage.addWallet(userId, address, label)) {
+    return ctx.reply('❌ This address is already in your watchlist.')
+  }
   
-  // Инициализируем PnL для нового кошелька
-  initializeWalletPnL(address, initialState.balance)
+  await initializeTrackedWallet(address, initialState)
   
-  const maxDisplay = limits.maxAddresses === Infinity ? Object.keys(userAddresses).length : `${Object.keys(userAddresses).length}/${CONFIG.MAX_ADDRESSES_PER_USER}`
+  const count = Object.keys(loadWatchlist()[userId] || {}).length
+  const maxDisplay = limits.maxAddresses === Infinity ? count : `${count}/${CONFIG.MAX_ADDRESSES_PER_USER}`
   
   // Показываем текущие позиции при добавлении
   const formatted = formatPositionsMobile(initialState.positions)
   const positionsCount = Object.keys(initialState.positions).length
   
-  let successMessage = `✅ Added ${address}${label ? ' as ' + label : ''}\n\n`
+  let successMessage = `✅ Added ${address}${label ? ' as ' + escapeHtml(label) : ''}\n\n`
   successMessage += `Addresses: ${maxDisplay}\n`
   successMessage += `Current positions: ${positionsCount}\n\n`
   
@@ -1137,164 +2431,1199 @@ bot.command('add', async ctx => {
   ctx.reply(successMessage, { parse_mode: 'HTML' })
 })
 
-bot.command('delete', ctx => {
-  const userId = ctx.from.id
-  const input = ctx.message.text.split(' ')[1]
-  if (!input) return ctx.reply('Usage: /delete address or label')
+// Разбор файла со списком кошельков: CSV "address,label" или JSON
+// ({ address: label }, [{ address, label }], [[address, label]] или [address])
+function parseWatchlistFile(content, filename = '') {
+  const text = content.replace(/^\uFEFF/, '').trim()
+  const isJson = filename.toLowerCase().endsWith('.json') || text.startsWith('{') || text.startsWith('[')
+
+  if (isJson) {
+    const data = JSON.parse(text)
+    if (Array.isArray(data)) {
+      return data.map((item, index) => {
+        if (typeof item === 'string') return { address: item, label: null, line: index + 1 }
+        if (Array.isArray(item)) return { address: item[0], label: item[1] ?? null, line: index + 1 }
+        return { address: item?.address, label: item?.label ?? null, line: index + 1 }
+      })
+    }
+    if (typeof data === 'object' && data !== null) {
+      return Object.entries(data).map(([address, label], index) => ({ address, label: label ?? null, line: index + 1 }))
+    }
+    throw new Error('Unsupported JSON format')
+  }
 
-  const watchlist = loadWatchlist()
-  const userAddresses = watchlist[userId] || {}
-  const match = Object.entries(userAddresses).find(([addr, lbl]) => lbl === input || addr === input)
-  
-  if (!match) return ctx.reply('Address or label not found in your watchlist.')
+  // номер строки считаем по файлу, вместе с заголовком и пустыми строками
+  const rows = text.split(/\r?\n/)
+    .map((line, index) => ({ text: line.trim(), number: index + 1 }))
+    .filter(row => row.text)
+  // заголовок необязателен
+  if (rows.length && /^"?address"?\s*(,|$)/i.test(rows[0].text)) rows.shift()
+
+  return rows.map(({ text: line, number }) => {
+    const comma = line.indexOf(',')
+    const address = (comma === -1 ? line : line.slice(0, comma)).trim().replace(/^"|"$/g, '')
+    const rawLabel = comma === -1 ? '' : line.slice(comma + 1).trim()
+    const label = rawLabel.replace(/^"|"$/g, '').replace(/""/g, '"')
+    return { address, label: label || null, line: number }
+  })
+}
 
-  const [addr] = match
-  delete userAddresses[addr]
-  watchlist[userId] = userAddresses
-  saveWatchlist(watchlist)
-  
-  // Проверяем, отслеживает ли кто-то еще этот адрес
-  const stillTracked = Object.values(watchlist).some(userAddr => userAddr[addr])
-  
-  // Если никто больше не отслеживает этот адрес, удаляем его из состояния И событий
-  if (!stillTracked) {
+function csvEscape(value) {
+  const str = value === null || value === undefined ? '' : String(value)
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+// Пользователи, от которых ждем файл после /importlist
+const pendingImports = new Map()
+
+bot.command('importlist', ctx => {
+  pendingImports.set(ctx.from.id, Date.now())
+  ctx.reply('📥 Send a CSV or JSON file with your wallets (max 1 MB).\n\n' +
+    'CSV: one "address,label" per line\n' +
+    'JSON: {"0xAddress": "Label"} or [{"address": "0x...", "label": "..."}]')
+})
+
+bot.on('document', async (ctx, next) => {
+  const userId = ctx.from.id
+  const caption = ctx.message.caption || ''
+  const pendingSince = pendingImports.get(userId)
+  const isPending = pendingSince && Date.now() - pendingSince < 10 * 60 * 1000
+  if (!caption.startsWith('/importlist') && !isPending) return next()
+  pendingImports.delete(userId)
+
+  const document = ctx.message.document
+  if (document.file_size > 1024 * 1024) {
+    return ctx.reply('❌ File is too large (max 1 MB).')
+  }
+
+  let rows
+  try {
+    const link = await ctx.telegram.getFileLink(document.file_id)
+    const response = await fetch(link.href)
+    rows = parseWatchlistFile(await response.text(), document.file_name)
+  } catch (error) {
+    console.error('Error reading import file:', error)
+    return ctx.reply('❌ Could not parse the file. Use CSV "address,label" or JSON.')
+  }
+
+  if (!rows.length) return ctx.reply('❌ The file has no wallets.')
+
+  const userAddresses = loadWatchlist()[userId] || {}
+  const limits = getUserLimits(userId)
+  const errors = []
+  const toAdd = []
+
+  rows.forEach(row => {
+    const { line } = row
+    const address = safeToChecksumAddress(String(row.address || '').trim())
+    const label = typeof row.label === 'string' ? row.label.trim() || null : row.label
+    const labelError = label === null ? null : validateLabel(userId, label)
+    if (!address) {
+      errors.push(`Row ${line}: invalid address "${row.address || ''}"`)
+    } else if (address in userAddresses || toAdd.some(item => item.address === address)) {
+      errors.push(`Row ${line}: ${address.slice(0, 6)}...${address.slice(-4)} is already in your watchlist`)
+    } else if (labelError) {
+      errors.push(`Row ${line}: ${labelError}`)
+    } else if (Object.keys(userAddresses).length + toAdd.length >= limits.maxAddresses) {
+      errors.push(`Row ${line}: address limit reached (${CONFIG.MAX_ADDRESSES_PER_USER})`)
+    } else {
+      toAdd.push({ address, label, line })
+    }
+  })
+
+  if (toAdd.length) await ctx.reply(`🔄 Importing ${toAdd.length} wallet(s) and fetching initial state...`)
+
+  const added = []
+  for (const { address, label, line } of toAdd) {
+    const initialState = await fetchPositions(address)
+    if (initialState.status === 'error' && !initialState.notFound) {
+      errors.push(`Row ${line}: failed to fetch wallet data (${initialState.error})`)
+      continue
+    }
+    // пока шли запросы, список мог измениться из других команд — проверяем заново перед записью
+    if (Object.keys(loadWatchlist()[userId] || {}).length >= limits.maxAddresses) {
+      errors.push(`Row ${line}: address limit reached (${CONFIG.MAX_ADDRESSES_PER_USER})`)
+      continue
+    }
+    if (!storage.addWallet(userId, address, label)) {
+      errors.push(`Row ${line}: ${address.slice(0, 6)}...${address.slice(-4)} is already in your watchlist`)
+      continue
+    }
+    await initializeTrackedWallet(address, initialState)
+    added.push(label || address)
+  }
+
+  const count = Object.keys(loadWatchlist()[userId] || {}).length
+  const maxDisplay = limits.maxAddresses === Infinity ? count : `${count}/${CONFIG.MAX_ADDRESSES_PER_USER}`
+  let message = `📥 Import finished: ${added.length} added, ${errors.length} skipped\n`
+  message += `Addresses: ${maxDisplay}\n`
+  if (added.length) message += `\n✅ Added:\n${added.map(item => `• ${item}`).join('\n')}\n`
+  if (errors.length) {
+    const shown = errors.slice(0, 30)
+    message += `\n❌ Errors:\n${shown.map(item => `• ${item}`).join('\n')}`
+    if (errors.length > shown.length) message += `\n...and ${errors.length - shown.length} more`
+  }
+  ctx.reply(message)
+})
+
+bot.command('exportlist', async ctx => {
+  const userId = ctx.from.id
+  const format = (getCommandArgs(ctx)[0] || 'csv').toLowerCase()
+  if (format !== 'csv' && format !== 'json') return ctx.reply(usage('exportlist'))
+
+  const userAddresses = loadWatchlist()[userId] || {}
+  if (Object.keys(userAddresses).length === 0) {
+    return ctx.reply('Your watchlist is empty. Use /add or /importlist to add addresses.')
+  }
+
+  const content = format === 'json'
+    ? JSON.stringify(userAddresses, null, 2)
+    : ['address,label', ...Object.entries(userAddresses).map(([addr, lbl]) => `${addr},${csvEscape(lbl)}`)].join('\n')
+
+  await ctx.replyWithDocument(
+    { source: Buffer.from(content), filename: `watchlist_${userId}.${format}` },
+    { caption: `📋 Watchlist export: ${Object.keys(userAddresses).length} wallet(s)` }
+  )
+})
+
+bot.command('delete', ctx => {
+  const userId = ctx.from.id
+  const [key] = getCommandArgs(ctx)
+  const wallet = resolveCommandWallet(ctx, 'delete', key, { exact: true })
+  if (!wallet) return
+
+  ctx.reply(`✅ Removed ${wallet.address}\n\nAddresses: ${removeUserWallet(userId, wallet.address)}`)
+})
+
+// Удаление кошелька из watchlist пользователя вместе с его настройками;
+// возвращает счетчик адресов для ответа
+function removeUserWallet(userId, addr) {
+  storage.removeWallet(userId, addr)
+
+  // Фильтры, мут и отложенные события удаленного кошелька больше не нужны
+  storage.removeFilter(userId, addr)
+  if (loadMutes()[userId]) {
+    updateUserMutes(userId, userMutes => {
+      delete userMutes.wallets[addr]
+      userMutes.queue = userMutes.queue.filter(item => item.address !== addr)
+    })
+  }
+  storage.removeFromGroups(userId, addr)
+  
+  // Проверяем, отслеживает ли кто-то еще этот адрес
+  const watchlist = loadWatchlist()
+  const userAddresses = watchlist[userId] || {}
+  const stillTracked = Object.values(watchlist).some(userAddr => userAddr[addr])
+  
+  // Если никто больше не отслеживает этот адрес, удаляем его из состояния И событий
+  if (!stillTracked) {
     if (previousStates[addr]) {
       delete previousStates[addr]
-      saveState(previousStates)
+      saveState(addr)
     }
     // Очищаем события торговли для этого кошелька
     cleanupWalletEvents(addr)
     // Очищаем PnL данные для этого кошелька
     if (walletPnL[addr]) {
       delete walletPnL[addr]
+      markPnLChanged(addr)
     }
   }
   
   const limits = getUserLimits(userId)
   const count = Object.keys(userAddresses).length
-  const maxDisplay = limits.maxAddresses === Infinity ? count : `${count}/${CONFIG.MAX_ADDRESSES_PER_USER}`
-  ctx.reply(`✅ Removed ${addr}\n\nAddresses: ${maxDisplay}`)
-})
+  return limits.maxAddresses === Infinity ? count : `${count}/${CONFIG.MAX_ADDRESSES_PER_USER}`
+}
 
-bot.command('list', ctx => {
+// Кошельки для /group по списку адресов/меток: { wallets, errors }
+function resolveGroupWallets(userId, keys) {
+  const userList = loadWatchlist()[userId] || {}
+  const wallets = []
+  const errors = []
+  keys.forEach(key => {
+    const result = resolveWallet(userList, key)
+    if (result.wallet) wallets.push(result.wallet)
+    else if (result.ambiguous) errors.push(`"${key}" matches several wallets: ${result.ambiguous.map(w => w.label).join(', ')}`)
+    else errors.push(`"${key}" not found in your watchlist`)
+  })
+  return { wallets, errors }
+}
+
+function formatGroup(group) {
+  const members = group.wallets.length ? group.wallets.map(wallet => wallet.label).join(', ') : 'empty'
+  return `📁 <b>${escapeHtml(group.name)}</b> (${group.wallets.length}): ${escapeHtml(members)}`
+}
+
+bot.command('group', ctx => {
   const userId = ctx.from.id
-  const watchlist = loadWatchlist()
-  const userAddresses = watchlist[userId] || {}
-  const limits = getUserLimits(userId)
-  
-  if (Object.keys(userAddresses).length === 0) {
-    return ctx.reply('Your watchlist is empty. Use /add to add addresses.')
+  const [action, name, ...keys] = getCommandArgs(ctx)
+  const groups = loadUserGroups(userId)
+  const group = name ? findUserGroup(userId, name) : null
+
+  switch ((action || 'list').toLowerCase()) {
+    case 'list': {
+      if (!groups.length) return ctx.reply('No groups yet. Use /group create <name> [wallets...]')
+      return ctx.reply('Your groups:\n\n' + groups.map(formatGroup).join('\n'), { parse_mode: 'HTML' })
+    }
+
+    case 'create': {
+      if (!name) return ctx.reply(usage('group'))
+      if (name.length > 32 || safeToChecksumAddress(name) || name.startsWith('/')) {
+        return ctx.reply('❌ Invalid group name. Use up to 32 characters, not an address.')
+      }
+      if (group) return ctx.reply(`❌ Group "${group.name}" already exists.`)
+      if (findUserWallet(userId, name)) return ctx.reply(`❌ "${name}" is already a wallet label. Choose another name.`)
+      if (groups.length >= CONFIG.MAX_GROUPS_PER_USER) {
+        return ctx.reply(`❌ Maximum ${CONFIG.MAX_GROUPS_PER_USER} groups per user. Delete one first.`)
+      }
+
+      const { wallets, errors } = resolveGroupWallets(userId, keys)
+      if (errors.length) return ctx.reply(`❌ ${errors.join('\n')}`)
+      const id = storage.createGroup(userId, name)
+      storage.addGroupMembers(id, wallets.map(wallet => wallet.address))
+      return ctx.reply(`✅ Group created\n\n${formatGroup(findUserGroup(userId, name))}`, { parse_mode: 'HTML' })
+    }
+
+    case 'add':
+    case 'remove': {
+      if (!name || !keys.length) return ctx.reply(usage('group'))
+      if (!group) return ctx.reply(`❌ Group "${name}" not found. See /group list.`)
+
+      const { wallets, errors } = resolveGroupWallets(userId, keys)
+      if (errors.length) return ctx.reply(`❌ ${errors.join('\n')}`)
+      const adding = action.toLowerCase() === 'add'
+      const addresses = wallets.map(wallet => wallet.address)
+      const changed = adding
+        ? storage.addGroupMembers(group.id, addresses)
+        : storage.removeGroupMembers(group.id, addresses)
+      if (!changed.length) {
+        return ctx.reply(adding ? 'Nothing to add: wallets are already in the group.' : 'Nothing to remove: wallets are not in the group.')
+      }
+      return ctx.reply(`✅ Group updated\n\n${formatGroup(findUserGroup(userId, group.name))}`, { parse_mode: 'HTML' })
+    }
+
+    case 'delete': {
+      if (!name) return ctx.reply(usage('group'))
+      if (!group || !storage.deleteGroup(userId, group.id)) return ctx.reply(`❌ Group "${name}" not found. See /group list.`)
+      return ctx.reply(`🗑 Group "${group.name}" deleted. Its wallets stay in your watchlist.`)
+    }
+
+    default:
+      return ctx.reply(usage('group'))
   }
-  
-  const formatted = Object.entries(userAddresses)
-    .map(([addr, lbl]) => `${lbl || '(no label)'}: \`${addr}\``)
+})
+
+// Страница /list: текст и кнопки кошельков; нажатие на кошелек открывает его меню
+function buildListView(userId, page = 0) {
+  const userAddresses = loadWatchlist()[userId] || {}
+  const entries = Object.entries(userAddresses)
+  if (entries.length === 0) return null
+
+  const limits = getUserLimits(userId)
+  const pages = Math.ceil(entries.length / CONFIG.LIST_PAGE_SIZE)
+  const current = Math.min(Math.max(page, 0), pages - 1)
+  const pageEntries = entries.slice(current * CONFIG.LIST_PAGE_SIZE, (current + 1) * CONFIG.LIST_PAGE_SIZE)
+
+  const userMutes = loadMutes()[userId]
+  const formatted = pageEntries
+    .map(([addr, lbl]) => {
+      const muted = isWalletMuted(userMutes, addr) ? ` ${formatMuteState(userMutes.wallets[addr])}` : ''
+      return `${escapeHtml(lbl || '(no label)')}: <code>${addr}</code>${muted}`
+    })
     .join('\n')
-  
-  const count = Object.keys(userAddresses).length
+
+  const count = entries.length
   const maxDisplay = limits.maxAddresses === Infinity ? count : `${count}/${CONFIG.MAX_ADDRESSES_PER_USER}`
-  ctx.reply(`📋 *Your tracked wallets (${maxDisplay}):*\n\n${formatted}`, { parse_mode: 'Markdown' })
+  const quietLine = userMutes?.quiet
+    ? `\n\n🌙 Quiet hours: ${formatClock(userMutes.quiet.start)}-${formatClock(userMutes.quiet.end)} (${userMutes.quiet.tz})`
+    : ''
+
+  const rows = pageEntries.map(([addr, lbl]) => [
+    Markup.button.callback(`${isWalletMuted(userMutes, addr) ? '🔕 ' : ''}${lbl || `${addr.slice(0, 6)}...${addr.slice(-4)}`}`, `w:${addr}`)
+  ])
+  if (pages > 1) {
+    rows.push([
+      Markup.button.callback('« Prev', `list:${current - 1}`, current === 0),
+      Markup.button.callback(`${current + 1}/${pages}`, 'noop'),
+      Markup.button.callback('Next »', `list:${current + 1}`, current === pages - 1)
+    ])
+  }
+
+  return {
+    text: `📋 <b>Your tracked wallets (${maxDisplay}):</b>\n\n${formatted}${quietLine}\n\n<i>Tap a wallet for actions.</i>`,
+    extra: { parse_mode: 'HTML', ...Markup.inlineKeyboard(rows) }
+  }
+}
+
+function buildWalletMenu(userId, address) {
+  const userAddresses = loadWatchlist()[userId] || {}
+  if (userAddresses[address] === undefined) return null
+
+  const label = userAddresses[address] || '(no label)'
+  const page = Math.floor(Object.keys(userAddresses).indexOf(address) / CONFIG.LIST_PAGE_SIZE)
+  const muted = isWalletMuted(loadMutes()[userId], address)
+
+  return {
+    text: `📍 <b>${escapeHtml(label)}</b>\n<code>${address}</code>`,
+    extra: {
+      parse_mode: 'HTML',
+      ...Markup.inlineKeyboard([
+        [
+          Markup.button.callback('🔍 Check', `act:check:${address}`),
+          Markup.button.callback('💰 PnL', `act:pnl:${address}`),
+          Markup.button.callback('📜 Trades', `act:trades:${address}`)
+        ],
+        [
+          Markup.button.callback('📤 Export', `act:export:${address}`),
+          Markup.button.callback(muted ? '🔔 Unmute' : '🔕 Mute', `act:mute:${address}`),
+          Markup.button.callback('🗑 Delete', `act:delete:${address}`)
+        ],
+        [Markup.button.callback('« Back to list', `list:${page}`)]
+      ])
+    }
+  }
+}
+
+// Кнопки под уведомлением о позиции
+function notificationKeyboard(address) {
+  return Markup.inlineKeyboard([[
+    Markup.button.callback('🔄 Refresh', `act:check:${address}`),
+    Markup.button.callback('💰 PnL', `act:pnl:${address}`),
+    Markup.button.callback('⚙️ Wallet', `w:${address}`)
+  ]])
+}
+
+// Меню обновляем в том же сообщении; если текст не изменился, Telegram вернет ошибку — ее игнорируем
+async function showView(ctx, view) {
+  try {
+    await ctx.editMessageText(view.text, view.extra)
+  } catch (error) {
+    if (!String(error.description || error.message).includes('message is not modified')) {
+      await ctx.reply(view.text, view.extra)
+    }
+  }
+}
+
+bot.command('list', ctx => {
+  const view = buildListView(ctx.from.id)
+  if (!view) return ctx.reply('Your watchlist is empty. Use /add to add addresses.')
+  ctx.reply(view.text, view.extra)
 })
 
-// УЛУЧШЕННЫЙ МОНИТОРИНГ с защитой от ложных уведомлений
-setInterval(async () => {
+bot.action('noop', ctx => ctx.answerCbQuery())
+
+bot.action(/^list:(-?\d+)$/, async ctx => {
+  await ctx.answerCbQuery()
+  const view = buildListView(ctx.from.id, parseInt(ctx.match[1]))
+  if (!view) return showView(ctx, { text: 'Your watchlist is empty. Use /add to add addresses.', extra: {} })
+  return showView(ctx, view)
+})
+
+bot.action(/^w:(0x[0-9a-fA-F]{40})$/, async ctx => {
+  const menu = buildWalletMenu(ctx.from.id, ctx.match[1])
+  if (!menu) return ctx.answerCbQuery('This wallet is no longer in your watchlist.', { show_alert: true })
+  await ctx.answerCbQuery()
+  return showView(ctx, menu)
+})
+
+bot.action(/^act:(\w+):(0x[0-9a-fA-F]{40})$/, async ctx => {
+  const [, action, address] = ctx.match
+  const userId = ctx.from.id
+  const wallet = findUserWallet(userId, address)
+  if (!wallet) return ctx.answerCbQuery('This wallet is no longer in your watchlist.', { show_alert: true })
+
+  switch (action) {
+    case 'check':
+      await ctx.answerCbQuery('Loading positions...')
+      return replyCheck(ctx, wallet.address, wallet.label)
+
+    case 'pnl':
+      await ctx.answerCbQuery()
+      return replyPnL(ctx, wallet.address, wallet.label)
+
+    case 'trades':
+      await ctx.answerCbQuery()
+      return replyTrades(ctx, wallet.address, wallet.label)
+
+    case 'export':
+      await ctx.answerCbQuery('Preparing CSV...')
+      return replyExport(ctx, wallet.address, wallet.label)
+
+    // Кнопка переключает бессрочный мут
+    case 'mute': {
+      const wasMuted = updateUserMutes(userId, userMutes => {
+        // истекший мут, который еще не снял deliverDigests, считается снятым
+        const muted = isWalletMuted(userMutes, wallet.address)
+        if (muted) delete userMutes.wallets[wallet.address]
+        else userMutes.wallets[wallet.address] = { until: null }
+        return muted
+      })
+
+      await ctx.answerCbQuery(wasMuted ? `🔔 Unmuted ${wallet.label}` : `🔕 Muted ${wallet.label}`)
+      if (wasMuted) await deliverDigests()
+      const menu = buildWalletMenu(userId, wallet.address)
+      return menu && showView(ctx, menu)
+    }
+
+    // Удаление — только после подтверждения
+    case 'delete':
+      await ctx.answerCbQuery()
+      return showView(ctx, {
+        text: `🗑 Remove <b>${escapeHtml(wallet.label)}</b> from your watchlist?\n<code>${wallet.address}</code>`,
+        extra: {
+          parse_mode: 'HTML',
+          ...Markup.inlineKeyboard([[
+            Markup.button.callback('✅ Yes, remove', `act:confirmdelete:${wallet.address}`),
+            Markup.button.callback('✖️ Cancel', `w:${wallet.address}`)
+          ]])
+        }
+      })
+
+    case 'confirmdelete': {
+      const counter = removeUserWallet(userId, wallet.address)
+      await ctx.answerCbQuery('Removed')
+      const view = buildListView(userId)
+      return showView(ctx, view || {
+        text: `✅ Removed ${wallet.address}\n\nAddresses: ${counter}`,
+        extra: {}
+      })
+    }
+
+    default:
+      return ctx.answerCbQuery()
+  }
+})
+
+bot.command('filter', ctx => {
+  const userId = ctx.from.id
+  const [key, settingArg, ...valueArgs] = getCommandArgs(ctx)
+  const wallet = resolveCommandWallet(ctx, 'filter', key)
+  if (!wallet) return
+
+  const { address, label } = wallet
+  const current = getWalletFilter(userId, address)
+  const setting = settingArg?.toLowerCase()
+  const value = valueArgs.join('')
+
+  if (!setting) {
+    return ctx.reply(`🔔 <b>Filters: ${escapeHtml(label)}</b>\n\n${formatFilter(current)}`, { parse_mode: 'HTML' })
+  }
+
+  const parseSymbols = raw => raw.split(',').map(sym => sym.trim().toUpperCase()).filter(Boolean)
+  let updated = { ...current }
+
+  switch (setting) {
+    case 'minusd':
+    case 'minpct': {
+      const amount = parseFloat(value)
+      if (!Number.isFinite(amount) || amount < 0) return ctx.reply('❌ Value must be a non-negative number.')
+      updated[setting === 'minusd' ? 'minNotional' : 'minChangePct'] = amount
+      break
+    }
+    case 'include':
+      if (!value) return ctx.reply(usage('filter'))
+      updated.include = value.toLowerCase() === 'all' ? [] : parseSymbols(value)
+      break
+    case 'exclude':
+      if (!value) return ctx.reply(usage('filter'))
+      updated.exclude = value.toLowerCase() === 'none' ? [] : parseSymbols(value)
+      break
+    case 'events': {
+      if (!value) return ctx.reply(usage('filter'))
+      const names = value.toLowerCase() === 'all' ? Object.keys(FILTER_EVENT_TYPES) : value.toLowerCase().split(',')
+      const unknown = names.filter(name => !FILTER_EVENT_TYPES[name])
+      if (unknown.length) return ctx.reply(`❌ Unknown events: ${unknown.join(', ')}`)
+      updated.events = names.map(name => FILTER_EVENT_TYPES[name])
+      break
+    }
+    case 'reset':
+      updated = { ...DEFAULT_FILTER }
+      break
+    default:
+      return ctx.reply(usage('filter'))
+  }
+
+  saveWalletFilter(userId, address, updated)
+  ctx.reply(`✅ <b>Filters updated: ${escapeHtml(label)}</b>\n\n${formatFilter(updated)}`, { parse_mode: 'HTML' })
+})
+
+function formatMarketStatus(market) {
+  return market.status === 'active' ? '🟢 active' : `⚪ ${market.status}`
+}
+
+bot.command('market', async ctx => {
+  const [key] = getCommandArgs(ctx)
+
+  if (!markets.isLoaded()) {
+    try {
+      await markets.refresh()
+    } catch (error) {
+      return ctx.reply('❌ Lighter markets are not available right now. Please try again later.')
+    }
+  }
+
+  if (!key) {
+    const active = markets.list().filter(m => m.status === 'active')
+    return ctx.reply(`📚 <b>Lighter markets (${active.length} active):</b>\n\n` +
+      `<code>${active.map(m => m.symbol).join(', ')}</code>\n\n` +
+      'Use /market <symbol> for details.', { parse_mode: 'HTML' })
+  }
+
+  const market = markets.resolve(key)
+  if (!market) return ctx.reply(`❌ Market ${key} not found on Lighter.`)
+
+  const feeStr = value => value === null ? 'N/A' : `${value}%`
+  let message = `📚 <b>${market.symbol}</b> ${formatMarketStatus(market)}\n\n`
+  message += `<b>Market ID:</b> <code>${market.marketId}</code>\n`
+  message += `<b>Price decimals:</b> <code>${market.priceDecimals}</code>\n`
+  message += `<b>Size decimals:</b> <code>${market.sizeDecimals}</code>\n`
+  message += `<b>Min size:</b> <code>${market.minBaseAmount ?? 'N/A'}</code>\n`
+  message += `<b>Min notional:</b> <code>${market.minQuoteAmount === null ? 'N/A' : '$' + market.minQuoteAmount}</code>\n`
+  message += `<b>Maker/Taker fee:</b> <code>${feeStr(market.makerFee)} / ${feeStr(market.takerFee)}</code>`
+
+  ctx.reply(message, { parse_mode: 'HTML' })
+})
+
+bot.command('mute', ctx => {
+  const userId = ctx.from.id
+  const [key, durationArg] = getCommandArgs(ctx)
+  const target = resolveCommandTarget(ctx, 'mute', key)
+  if (!target) return
+  const wallets = target.group ? target.group.wallets : [target.wallet]
+
+  let until = null
+  if (durationArg) {
+    const duration = parseDuration(durationArg)
+    if (!duration) return ctx.reply('❌ Invalid duration. Use e.g. 30m, 2h, 1d, 1w.')
+    until = Date.now() + duration
+  }
+
+  updateUserMutes(userId, userMutes => {
+    wallets.forEach(wallet => { userMutes.wallets[wallet.address] = { until } })
+  })
+
+  const name = target.group ? `group ${target.group.name} (${wallets.map(w => w.label).join(', ')})` : target.wallet.label
+  ctx.reply(`${formatMuteState({ until })}: ${name}\n\nEvents will be delivered as a digest when the mute ends.`)
+})
+
+bot.command('unmute', async ctx => {
+  const userId = ctx.from.id
+  const [key] = getCommandArgs(ctx)
+  const target = resolveCommandTarget(ctx, 'unmute', key)
+  if (!target) return
+
+  const muted = updateUserMutes(userId, userMutes => {
+    const wallets = (target.group ? target.group.wallets : [target.wallet]).filter(wallet => userMutes.wallets[wallet.address])
+    wallets.forEach(wallet => { delete userMutes.wallets[wallet.address] })
+    return wallets
+  }) || []
+  const name = target.group ? `group ${target.group.name}` : target.wallet.label
+  if (muted.length === 0) return ctx.reply(`${name} is not muted.`)
+
+  await ctx.reply(`🔔 Unmuted ${muted.map(wallet => wallet.label).join(', ')}`)
+  await deliverDigests()
+})
+
+bot.command('quiet', ctx => {
+  const userId = ctx.from.id
+  const [range, tzArg] = getCommandArgs(ctx)
+
+  if (!range) {
+    const quiet = loadMutes()[userId]?.quiet
+    return ctx.reply(quiet
+      ? `🌙 Quiet hours: ${formatClock(quiet.start)}-${formatClock(quiet.end)} (${quiet.tz})`
+      : `Quiet hours are off.\n\n${usage('quiet')}`)
+  }
+
+  if (range.toLowerCase() === 'off') {
+    updateUserMutes(userId, userMutes => { userMutes.quiet = null })
+    return ctx.reply('🔔 Quiet hours disabled.')
+  }
+
+  const [from, to] = range.split('-')
+  const start = parseClock(from)
+  const end = parseClock(to)
+  if (start === null || end === null || start === end) {
+    return ctx.reply(`❌ Invalid time range.\n\n${usage('quiet')}`)
+  }
+
+  const tz = tzArg || 'UTC'
+  if (!isValidTimezone(tz)) return ctx.reply(`❌ Unknown timezone: ${tz}`)
+
+  updateUserMutes(userId, userMutes => { userMutes.quiet = { start, end, tz } })
+  ctx.reply(`🌙 Quiet hours set: ${formatClock(start)}-${formatClock(end)} (${tz})\n\nEvents during quiet hours will arrive as a digest.`)
+})
+
+// Позиция в теле вебхука — без внутренних полей снимка
+function formatWebhookPosition(pos) {
+  if (!pos) return null
+  return {
+    side: pos.sign === 1 ? 'LONG' : 'SHORT',
+    size: pos.position,
+    avgEntryPrice: pos.avg_entry_price,
+    markPrice: pos.mark_price ?? null,
+    positionValue: pos.position_value ?? null,
+    unrealizedPnL: pos.unrealized_pnl ?? null,
+    liquidationPrice: pos.liquidation_price ?? null,
+    marketId: pos.market_id ?? null
+  }
+}
+
+// Событие comparePositions -> JSON вебхука, type: position.open | close | increase | reduce | flip
+function buildWebhookEvent(address, label, event) {
+  const name = Object.keys(FILTER_EVENT_TYPES).find(key => FILTER_EVENT_TYPES[key] === event.type) || event.type
+  const { notional, changePct } = measurePositionChange(event)
+  return {
+    type: `position.${name}`,
+    timestamp: Date.now(),
+    wallet: { address, label },
+    symbol: event.symbol,
+    previous: formatWebhookPosition(event.oldPos),
+    position: formatWebhookPosition(event.newPos),
+    change: { notional, changePct }
+  }
+}
+
+bot.command('webhook', ctx => {
+  const userId = ctx.from.id
+  const [action, arg] = getCommandArgs(ctx)
+  const hooks = storage.listWebhooks(userId)
+
+  switch ((action || '').toLowerCase()) {
+    case 'add': {
+      const problem = arg ? checkWebhookUrl(arg, { allowPrivateTargets: CONFIG.WEBHOOK_ALLOW_PRIVATE }) : 'Invalid URL'
+      if (problem) return ctx.reply(`❌ ${problem}. Example: /webhook add https://example.com/hooks/lighter`)
+      if (hooks.length >= CONFIG.MAX_WEBHOOKS_PER_USER) {
+        return ctx.reply(`❌ Maximum ${CONFIG.MAX_WEBHOOKS_PER_USER} webhooks per user. Remove one first.`)
+      }
+      const secret = webhooks.generateSecret()
+      const id = storage.addWebhook(userId, arg, secret)
+      // без parse_mode: в URL бывают & и <, которые сломают HTML
+      return ctx.reply(
+        `✅ Webhook #${id} added: ${arg}\n\n` +
+        `Signing secret (shown only once):\n${secret}\n\n` +
+        'Events: position.open, position.close, position.increase, position.reduce, position.flip'
+      )
+    }
+
+    case 'list': {
+      if (!hooks.length) return ctx.reply('No webhooks. Use /webhook add <url>.')
+      return ctx.reply('🔗 Your webhooks:\n\n' + hooks.map(hook => `#${hook.id} ${hook.url}`).join('\n'))
+    }
+
+    case 'remove': {
+      const id = parseInt(arg)
+      if (!id || !storage.removeWebhook(userId, id)) return ctx.reply('❌ Webhook not found. See /webhook list.')
+      return ctx.reply(`🗑 Webhook #${id} removed.`)
+    }
+
+    case 'test': {
+      const hook = hooks.find(h => h.id === parseInt(arg))
+      if (!hook) return ctx.reply('❌ Webhook not found. See /webhook list.')
+      const deliveryId = webhooks.deliver(hook, { type: 'ping', timestamp: Date.now() })
+      return ctx.reply(`📤 Test event sent (delivery ${deliveryId}). Check /webhook log.`)
+    }
+
+    case 'log': {
+      const deliveries = storage.listDeliveries(userId, 15)
+      if (!deliveries.length) return ctx.reply('No deliveries yet.')
+      const icons = { delivered: '✅', failed: '❌', retrying: '🔁', pending: '⏳', refused: '⛔' }
+      const lines = deliveries.map(d => {
+        const time = new Date(d.createdAt).toISOString().replace('T', ' ').slice(5, 16)
+        const result = d.responseStatus ? `HTTP ${d.responseStatus}` : (d.error || '')
+        return `${icons[d.status] || '•'} ${time} #${d.webhookId} ${d.eventType} — ${d.status}, ${d.attempts} attempt(s)${result ? `, ${result}` : ''}`
+      })
+      return ctx.reply('📜 Recent deliveries (UTC):\n\n' + lines.join('\n'))
+    }
+
+    default:
+      return ctx.reply(usage('webhook'))
+  }
+})
+
+// ===== Админ-команды =====
+
+function isAdmin(userId) {
+  return CONFIG.ADMIN_IDS.includes(userId)
+}
+
+// Каждое действие админа пишем в журнал
+function auditAdminAction(adminId, action, details) {
+  console.log(`🛡 Admin ${adminId}: ${action}`, details === undefined ? '' : JSON.stringify(details))
+  try {
+    storage.addAuditEntry(adminId, action, details)
+  } catch (error) {
+    console.error('Error writing admin audit log:', error.message)
+  }
+}
+
+function formatDateTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : 'never'
+}
+
+// Все известные боту пользователи: из watchlist и из журнала активности
+function getKnownUserIds() {
+  const ids = new Set(Object.keys(loadWatchlist()))
+  Object.keys(storage.loadUserActivity()).forEach(id => ids.add(id))
+  return Array.from(ids)
+}
+
+let broadcastInProgress = false
+
+async function runBroadcast(adminId, text) {
+  broadcastInProgress = true
+  const recipients = getKnownUserIds()
+  let sent = 0
+  let failed = 0
+
   try {
-    const watchlist = loadWatchlist()
-    const addressToUsers = new Map()
+    for (const userId of recipients) {
+      try {
+        await bot.telegram.sendMessage(userId, text)
+        sent++
+      } catch (error) {
+        failed++
+        console.error(`Broadcast to ${userId} failed:`, error.message)
+      }
+      await new Promise(resolve => setTimeout(resolve, CONFIG.BROADCAST_DELAY))
+    }
+  } finally {
+    broadcastInProgress = false
+  }
+
+  auditAdminAction(adminId, 'broadcast_finished', { sent, failed })
+  await bot.telegram.sendMessage(adminId, `📣 Broadcast finished: ${sent} delivered, ${failed} failed.`)
+}
+
+const ADMIN_USAGE =
+  'Admin commands:\n' +
+  '/admin whitelist add <userId...> | remove <userId> | list\n' +
+  '/admin users — users, wallets and last activity\n' +
+  '/admin broadcast <text> — message every known user\n' +
+  '/admin inspect <userId> — watchlist and settings of a user\n' +
+  '/admin leaderboard [24h|7d|30d] [metric] — all tracked wallets, anonymised\n' +
+  '/admin audit [count] — recent admin actions'
+
+bot.command('admin', async ctx => {
+  const adminId = ctx.from.id
+  // для остальных команды как будто нет
+  if (!isAdmin(adminId)) return
+
+  const [actionArg, ...args] = getCommandArgs(ctx)
+  const action = (actionArg || '').toLowerCase()
+
+  switch (action) {
+    case 'whitelist': {
+      const sub = (args[0] || '').toLowerCase()
+      if (sub === 'list') {
+        const ids = loadWhitelist()
+        auditAdminAction(adminId, 'whitelist_list')
+        return ctx.reply(ids.length ? `📄 Whitelist (${ids.length}):\n${ids.join('\n')}` : 'Whitelist is empty.')
+      }
+      if (sub === 'add') {
+        const ids = args.slice(1).map(id => parseInt(id)).filter(Number.isInteger)
+        if (!ids.length) return ctx.reply('Usage: /admin whitelist add <userId...>')
+        storage.addToWhitelist(ids)
+        saveWhitelistFile()
+        refreshWhitelist()
+        auditAdminAction(adminId, 'whitelist_add', { userIds: ids })
+        return ctx.reply(`✅ Whitelisted: ${ids.join(', ')}`)
+      }
+      if (sub === 'remove') {
+        const id = parseInt(args[1])
+        if (!Number.isInteger(id)) return ctx.reply('Usage: /admin whitelist remove <userId>')
+        const removed = storage.removeFromWhitelist(id)
+        saveWhitelistFile()
+        refreshWhitelist()
+        auditAdminAction(adminId, 'whitelist_remove', { userId: id, removed })
+        return ctx.reply(removed ? `🗑 Removed ${id} from whitelist.` : `${id} is not whitelisted.`)
+      }
+      return ctx.reply('Usage: /admin whitelist add <userId...> | remove <userId> | list')
+    }
+
+    case 'users': {
+      const watchlist = loadWatchlist()
+      const activity = storage.loadUserActivity()
+      const users = getKnownUserIds()
+        .map(userId => ({
+          userId,
+          wallets: Object.keys(watchlist[userId] || {}).length,
+          ...activity[userId]
+        }))
+        .sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0))
+      const totalWallets = new Set(Object.values(watchlist).flatMap(list => Object.keys(list))).size
+
+      auditAdminAction(adminId, 'users')
+      let message = `👥 Users: ${users.length}, with wallets: ${users.filter(u => u.wallets > 0).length}\n`
+      message += `Unique tracked wallets: ${totalWallets}\n\n`
+      message += users.slice(0, 40).map(u =>
+        `${u.userId}${u.username ? ` @${u.username}` : ''}${isWhitelisted(parseInt(u.userId)) ? ' ⭐' : ''} — ` +
+        `${u.wallets} wallet(s), last seen ${formatDateTime(u.lastSeen)}${u.lastCommand ? ` (/${u.lastCommand})` : ''}`
+      ).join('\n')
+      if (users.length > 40) message += `\n… and ${users.length - 40} more`
+      return ctx.reply(message)
+    }
+
+    case 'broadcast': {
+      const text = ctx.message.text.replace(/^\/admin(@\w+)?\s+broadcast\s*/i, '').trim()
+      if (!text) return ctx.reply('Usage: /admin broadcast <text>')
+      if (broadcastInProgress) return ctx.reply('⏳ Another broadcast is still running.')
+
+      const count = getKnownUserIds().length
+      auditAdminAction(adminId, 'broadcast', { text, recipients: count })
+      runBroadcast(adminId, text).catch(error => console.error('Broadcast error:', error))
+      return ctx.reply(`📣 Broadcasting to ${count} users...`)
+    }
+
+    case 'inspect': {
+      const userId = args[0]
+      if (!/^\d+$/.test(userId || '')) return ctx.reply('Usage: /admin inspect <userId>')
+
+      const wallets = loadWatchlist()[userId] || {}
+      const filters = loadFilters()[userId] || {}
+      const userMutes = loadMutes()[userId]
+      const activity = storage.loadUserActivity()[userId]
+      const hooks = storage.listWebhooks(userId)
+      const limits = rateLimits.get(parseInt(userId))
+
+      auditAdminAction(adminId, 'inspect', { userId })
+      let message = `🔎 User ${userId}${activity?.username ? ` @${activity.username}` : ''}\n`
+      message += `Whitelisted: ${isWhitelisted(parseInt(userId)) ? 'yes' : 'no'}\n`
+      message += `Last seen: ${formatDateTime(activity?.lastSeen)}${activity?.lastCommand ? ` (/${activity.lastCommand})` : ''}\n`
+      message += `Requests in the last minute: ${limits ? limits.requests.length : 0}\n`
+      message += `Webhooks: ${hooks.length}\n`
+      if (userMutes?.quiet) message += `Quiet hours: ${formatClock(userMutes.quiet.start)}-${formatClock(userMutes.quiet.end)} (${userMutes.quiet.tz})\n`
+      message += `\nWallets (${Object.keys(wallets).length}):\n`
+      if (!Object.keys(wallets).length) return ctx.reply(message + '—')
+
+      // у пользователя из whitelist кошельков может быть сколько угодно — обрезаем по лимиту сообщения
+      const lines = Object.entries(wallets).map(([address, label]) => {
+        const flags = []
+        if (filters[address]) flags.push('filter')
+        if (userMutes?.wallets?.[address]) flags.push('muted')
+        return `• ${label || 'Wallet'} ${address}${flags.length ? ` [${flags.join(', ')}]` : ''}\n`
+      })
+      return ctx.reply(fitMessage(message, lines, count => `… and ${count} more`).trimEnd())
+    }
+
+    case 'leaderboard': {
+      const options = parseLeaderboardArgs(args)
+      if (!options) return ctx.reply('Usage: /admin leaderboard [24h|7d|30d|all] [pnl|return|winrate|pf|drawdown]')
 
-    Object.entries(watchlist).forEach(([userId, addrs]) => {
-      Object.keys(addrs).forEach(addr => {
-        if (!addressToUsers.has(addr)) addressToUsers.set(addr, [])
-        addressToUsers.get(addr).push({ userId, label: addrs[addr] || 'Wallet' })
+      // метки пользователей не показываем: только сокращенный адрес и число наблюдателей
+      const addressToUsers = getAddressToUsers()
+      const wallets = Object.keys(walletPnL).map(address => {
+        const watchers = addressToUsers.get(address)?.length || 0
+        return { address, label: `${address.slice(0, 6)}…${address.slice(-4)} 👁${watchers}` }
       })
+      const rows = buildLeaderboard(wallets, options.period, options.metric)
+      auditAdminAction(adminId, 'leaderboard', { period: options.period.label, metric: options.metric })
+      return ctx.reply(formatLeaderboard('Leaderboard: all wallets', rows, { ...options, total: wallets.length }), { parse_mode: 'HTML' })
+    }
+
+    case 'audit': {
+      const limit = Math.min(parseInt(args[0]) || 20, 30)
+      const entries = storage.listAuditEntries(limit)
+      if (!entries.length) return ctx.reply('Audit log is empty.')
+      return ctx.reply('🛡 Admin audit log:\n\n' + entries.map(e =>
+        `${formatDateTime(e.createdAt)} ${e.adminId} ${e.action}${e.details ? ` ${JSON.stringify(e.details)}` : ''}`
+      ).join('\n'))
+    }
+
+    default:
+      return ctx.reply(ADMIN_USAGE)
+  }
+})
+
+// address -> [{ userId, label }] для всех отслеживаемых адресов
+function getAddressToUsers() {
+  const watchlist = loadWatchlist()
+  const addressToUsers = new Map()
+
+  Object.entries(watchlist).forEach(([userId, addrs]) => {
+    Object.keys(addrs).forEach(addr => {
+      if (!addressToUsers.has(addr)) addressToUsers.set(addr, [])
+      addressToUsers.get(addr).push({ userId, label: addrs[addr] || 'Wallet' })
     })
+  })
 
-    await Promise.allSettled(
-      Array.from(addressToUsers.entries()).map(async ([address, userObjs]) => {
-        const newState = await fetchPositions(address)
-        const oldState = previousStates[address]
-        
-        // КРИТИЧЕСКИ ВАЖНО: если нет предыдущего состояния, просто сохраняем текущее
-        // без отправки уведомлений (это может быть новый кошелек или сбой системы)
-        if (!oldState) {
-          console.log(`Initializing state for ${address} - no notifications will be sent`)
-          previousStates[address] = newState
-          saveState(previousStates)
-          return
-        }
+  return addressToUsers
+}
 
-        const diffs = comparePositions(oldState, newState)
-        if (!diffs.length) {
-          previousStates[address] = newState
-          return
-        }
+// Цепочки обработки по адресам (поллинг и стрим не должны пересекаться)
+const processingAddresses = new Map()
 
-        console.log(`Position changes detected for ${address}: ${diffs.length} updates`)
-
-        // Обновляем PnL кошелька при изменениях позиций
-        updateWalletPnL(address, oldState, newState)
-
-        for (const diff of diffs) {
-          // разбор действия
-          const symMatch = diff.match(/<b>(\w+)<\/b>/)
-          if (!symMatch) continue
-          const sym = symMatch[1]
-
-          const oldPos = oldState.positions[sym]
-          const newPos = newState.positions[sym]
-          const currentPos = newPos || oldPos
-          if (!currentPos) continue
-
-          // Определяем правильный тип операции для графика
-          const tradeType = getTradeTypeForChart(oldPos, newPos, sym)
-          
-          if (tradeType) {
-            // Сохраняем событие для КОНКРЕТНОГО кошелька
-            addTradeEvent(address, sym, {
-              time: Math.floor(Date.now() / 1000),
-              price: currentPos.avg_entry_price,
-              side: tradeType
-            })
-          }
-
-          // получаем свечи
-          let candles = await getCandles(`${sym}USDT`, 5, 'binance-futures')
-          if (!candles.length) continue
-
-          // Получаем события ТОЛЬКО для этого кошелька и символа
-          const walletEvents = getWalletEvents(address, sym)
-
-          // рендер графика с маркерами только этого кошелька
-          const imgBuffer = await renderChart({
-            candles,
-            ticker: `${sym}USDT`,
-            interval: '5m',
-            exchange: 'BINANCE FUTURES',
-            avgLine: currentPos.avg_entry_price,
-            events: walletEvents // события только этого кошелька!
-          })
+// Общий конвейер для нового состояния кошелька: сравнение, PnL, графики, уведомления
+async function processWalletState(address, userObjs, rawState) {
+  const oldState = previousStates[address]
+
+  // Неудачный запрос не должен превращаться в "все позиции закрыты":
+  // оставляем прошлый снимок и помечаем его устаревшим
+  if (rawState.status !== 'ok') {
+    if (oldState && oldState.status !== 'stale') {
+      console.log(`Keeping stale state for ${address}: ${rawState.error}`)
+      previousStates[address] = { ...oldState, status: 'stale' }
+    }
+    return
+  }
+
+  // КРИТИЧЕСКИ ВАЖНО: если нет предыдущего состояния, просто сохраняем текущее
+  // без отправки уведомлений (это может быть новый кошелек или сбой системы)
+  if (!oldState) {
+    console.log(`Initializing state for ${address} - no notifications will be sent`)
+    previousStates[address] = rawState
+    saveState(address)
+    // та же первая синхронизация, что и при /add: лоты от текущих позиций и последний trade_id.
+    // Иначе она случится только на первом изменении — уже от новых позиций, и эта сделка потеряется
+    try {
+      await ingestFills(address, rawState)
+    } catch (error) {
+      console.error(`⚠️ Error syncing fills for ${address}:`, error.message)
+    }
+    updateWalletPnL(address, null, rawState)
+    return
+  }
+
+  const newState = confirmClosedPositions(oldState, rawState)
+
+  const events = comparePositions(oldState, newState)
+
+  // Fills без изменения позиции (открыл и закрыл между опросами) видны по балансу
+  if (events.length || newState.balance !== oldState.balance) {
+    try {
+      await ingestFills(address, newState)
+    } catch (error) {
+      console.error(`⚠️ Error ingesting fills for ${address}:`, error.message)
+    }
+  }
+
+  // Funding меняет баланс без сделок; ingestFunding сам ограничивает частоту запросов
+  try {
+    await ingestFunding(address, newState)
+  } catch (error) {
+    console.error(`⚠️ Error ingesting funding for ${address}:`, error.message)
+  }
+
+  // Баланс и unrealized PnL пишем на каждом успешном снимке, а не только при событиях:
+  // иначе у кошелька без сделок не копится история баланса
+  updateWalletPnL(address, oldState, newState)
 
-          // отправляем пользователям этого кошелька
-          for (const { userId, label } of userObjs) {
-            try {
-              const caption =
-                `📍 <b>${label}</b> ` + ` <code>${address.slice(0, 6)}...${address.slice(-4)}</code>\n\n` +
-                `${diff}`
-
-              await bot.telegram.sendPhoto(userId, { source: imgBuffer }, {
-                caption,
-                parse_mode: 'HTML'
-              })
-            } catch (sendError) {
-              console.error(`Error sending notification to user ${userId}:`, sendError.message)
-            }
-          }
+  if (!events.length) {
+    previousStates[address] = newState
+    return
+  }
+
+  console.log(`Position changes detected for ${address}: ${events.length} updates`)
+
+  // фильтры читаем один раз на снимок, а не на каждое событие и получателя
+  const filters = loadFilters()
+
+  for (const event of events) {
+    const sym = event.symbol
+    const oldPos = event.oldPos
+    const newPos = event.newPos
+    const currentPos = newPos || oldPos
+    if (!currentPos) continue
+
+    // Определяем правильный тип операции для графика
+    const tradeType = getTradeTypeForChart(oldPos, newPos, sym)
+    
+    if (tradeType) {
+      // Сохраняем событие для КОНКРЕТНОГО кошелька
+      addTradeEvent(address, sym, {
+        time: Math.floor(Date.now() / 1000),
+        price: currentPos.avg_entry_price,
+        side: tradeType,
+        flip: event.type === 'flipped'
+      })
+    }
+
+    // Вебхуки получают все события, без фильтров и мутов Telegram
+    userObjs.forEach(({ userId, label }) => {
+      try {
+        webhooks.dispatch(userId, buildWebhookEvent(address, label, event))
+      } catch (error) {
+        console.error(`⚠️ Webhook dispatch error for user ${userId}:`, error.message)
+      }
+    })
+
+    // Фильтры каждого пользователя: если событие никому не нужно, не рисуем график
+    const recipients = userObjs.filter(({ userId }) => passesFilter(getWalletFilter(userId, address, filters), event))
+    if (!recipients.length) continue
+
+    // Тем, у кого мут, график не нужен — событие уйдет в дайджест
+    const held = recipients
+      .map(recipient => ({ ...recipient, reason: getHoldReason(recipient.userId, address) }))
+      .filter(recipient => recipient.reason)
+    held.forEach(({ userId, label, reason }) => queueNotification(userId, address, label, formatEventSummary(event), reason))
+    const receivers = recipients.filter(recipient => !held.some(item => item.userId === recipient.userId))
+    if (!receivers.length) continue
+
+    // Рисуем график; если свечей нет или рендер не удался — отправим уведомление текстом
+    const imgBuffer = await renderEventChart(address, sym, currentPos, !newPos)
+
+    // отправляем пользователям этого кошелька
+    for (const { userId, label } of receivers) {
+      try {
+        const caption =
+          `📍 <b>${escapeHtml(label)}</b> ` + ` <code>${address.slice(0, 6)}...${address.slice(-4)}</code>\n\n` +
+          `${event.message}`
+
+        if (imgBuffer) {
+          await bot.telegram.sendPhoto(userId, { source: imgBuffer }, {
+            caption,
+            parse_mode: 'HTML',
+            ...notificationKeyboard(address)
+          })
+        } else {
+          await bot.telegram.sendMessage(userId, caption, { parse_mode: 'HTML', ...notificationKeyboard(address) })
         }
+      } catch (sendError) {
+        console.error(`Error sending notification to user ${userId}:`, sendError.message)
+      }
+    }
+  }
+
+  previousStates[address] = newState
+}
+
+// Цены срабатывания TP/SL из активных ордеров аккаунта на рынке: { takeProfit: [], stopLoss: [] }
+async function fetchPositionTriggers(accountIndex, marketId) {
+  const json = await fetchWithRetry(`${ORDERS_API}?account_index=${accountIndex}&market_id=${marketId}`)
+  const orders = Array.isArray(json.orders) ? json.orders : []
+  const triggers = { takeProfit: [], stopLoss: [] }
+  orders.forEach(order => {
+    const price = parseFloat(order.trigger_price) || parseFloat(order.price)
+    if (/^take-profit/.test(order.type)) triggers.takeProfit.push(price)
+    else if (/^stop-loss/.test(order.type)) triggers.stopLoss.push(price)
+  })
+  return triggers
+}
+
+// График для уведомления с маркерами сделок кошелька; null, если нарисовать не удалось.
+// У закрытой позиции линии ликвидации и TP/SL не рисуем
+async function renderEventChart(address, sym, currentPos, closed) {
+  try {
+    const chart = await getNotificationCandles(sym, currentPos)
+    if (!chart.candles.length) return null
+
+    // без ордеров график все равно нужен — линии TP/SL просто не рисуем
+    let triggers = {}
+    const accountIndex = previousStates[address]?.accountIndex
+    if (NOTIFICATION_LINES.has('tpsl') && !closed && Number.isInteger(accountIndex) && currentPos.open_order_count !== 0) {
+      triggers = await fetchPositionTriggers(accountIndex, currentPos.market_id).catch(error => {
+        console.error(`⚠️ Orders unavailable for ${address} ${sym}:`, error.message)
+        return {}
+      })
+    }
+
+    // рендер графика с маркерами только этого кошелька
+    return await metrics.timeChartRender('event', () => renderChart({
+      candles: chart.candles,
+      ticker: chart.ticker,
+      interval: '5m',
+      exchange: chart.exchange,
+      avgLine: currentPos.avg_entry_price,
+      events: getWalletEvents(address, sym), // события только этого кошелька!
+      overlays: {
+        ...NOTIFICATION_OVERLAYS,
+        liquidationPrice: NOTIFICATION_LINES.has('liq') && !closed ? currentPos.liquidation_price : null,
+        markPrice: NOTIFICATION_LINES.has('mark') ? currentPos.mark_price : null,
+        takeProfit: triggers.takeProfit,
+        stopLoss: triggers.stopLoss
+      }
+    }))
+  } catch (error) {
+    console.error(`⚠️ Chart unavailable for ${sym}:`, error.message)
+    return null
+  }
+}
+
+// Пропавшая из снимка позиция считается закрытой, только если ее нет
+// и в следующем успешном снимке. До этого переносим ее из прошлого состояния
+function confirmClosedPositions(oldState, newState) {
+  const positions = { ...newState.positions }
+  const pendingClose = {}
+
+  Object.entries(oldState.positions || {}).forEach(([symbol, pos]) => {
+    if (positions[symbol]) return
+    // второй успешный снимок подряд без позиции — закрытие подтверждено
+    if (oldState.pendingClose?.[symbol]) return
+    positions[symbol] = pos
+    pendingClose[symbol] = true
+  })
+
+  return { ...newState, positions, pendingClose }
+}
+
+// Обработка одного адреса строго по очереди: обновления из стрима не теряются,
+// пока идет предыдущая обработка
+function runForAddress(address, task) {
+  const previous = processingAddresses.get(address) || Promise.resolve()
+  const current = previous.catch(() => {}).then(task)
+  processingAddresses.set(address, current)
+  return current.finally(() => {
+    if (processingAddresses.get(address) === current) processingAddresses.delete(address)
+  })
+}
+
+// Стрим обновлений аккаунтов: уведомления приходят сразу, без ожидания поллинга
+const accountStream = createAccountStream({
+  url: CONFIG.STREAM_URL,
+  onUpdate: (accountIndex, msg) => {
+    const address = Object.keys(previousStates).find(addr => previousStates[addr].accountIndex === accountIndex)
+    if (!address) return
+    const userObjs = getAddressToUsers().get(address)
+    if (!userObjs) return
+
+    runForAddress(address, async () => {
+      const newState = await buildStateFromStream(previousStates[address], msg)
+      await processWalletState(address, userObjs, newState)
+      saveState(address)
+    }).catch(error => console.error(`Stream processing error for ${address}:`, error))
+  },
+  onStatus: connected => {
+    console.log(connected
+      ? '🔌 Lighter stream connected - polling only unsubscribed wallets'
+      : '🔌 Lighter stream disconnected - falling back to polling')
+  }
+})
+
+// Подписываемся на все кошельки, для которых уже знаем account_index
+function syncStreamSubscriptions(addresses) {
+  if (!CONFIG.USE_STREAM) return
+  const indexes = addresses
+    .map(addr => previousStates[addr]?.accountIndex)
+    .filter(index => Number.isInteger(index))
+  accountStream.sync(indexes)
+}
+
+// УЛУЧШЕННЫЙ МОНИТОРИНГ с защитой от ложных уведомлений
+// При живом стриме опрашиваем только кошельки без подписки, иначе — все
+setInterval(async () => {
+  const cycleStart = Date.now()
+  try {
+    const addressToUsers = getAddressToUsers()
+    syncStreamSubscriptions(Array.from(addressToUsers.keys()))
 
-        previousStates[address] = newState
+    let polled = 0
+    await Promise.allSettled(
+      Array.from(addressToUsers.entries()).map(([address, userObjs]) => {
+        const state = previousStates[address]
+        // Неподтвержденные закрытия проверяем REST-опросом даже при живом стриме
+        const hasPendingClose = Object.keys(state?.pendingClose || {}).length > 0
+        if (CONFIG.USE_STREAM && accountStream.isSubscribed(state?.accountIndex) && !hasPendingClose) return null
+
+        polled++
+        return runForAddress(address, async () => {
+          const newState = await fetchPositions(address)
+          await processWalletState(address, userObjs, newState)
+          saveState(address)
+        })
       })
     )
 
-    saveState(previousStates)
+    metrics.observePoll((Date.now() - cycleStart) / 1000, { polled, streamed: addressToUsers.size - polled })
   } catch (err) {
     console.error('Monitor error:', err)
   }
@@ -1323,6 +3652,11 @@ setInterval(() => {
   })
 }, 3600000) // каждый час
 
+// Раз в минуту снимаем истекшие муты и рассылаем дайджесты
+setInterval(() => {
+  deliverDigests().catch(error => console.error('Digest error:', error))
+}, 60000)
+
 // Периодически сохраняем rate limits
 setInterval(() => {
   const limitsObj = Object.fromEntries(rateLimits)
@@ -1330,9 +3664,7 @@ setInterval(() => {
 }, 30000)
 
 // Периодически сохраняем PnL данные
-setInterval(() => {
-  saveWalletPnL(walletPnL)
-}, 60000) // каждую минуту
+setInterval(saveWalletPnL, 60000) // каждую минуту
 
 // Периодическая очистка старых данных PnL (старше 30 дней)
 setInterval(() => {
@@ -1340,6 +3672,7 @@ setInterval(() => {
   
   Object.keys(walletPnL).forEach(address => {
     const stats = walletPnL[address]
+    markPnLChanged(address)
     
     // Очищаем старую историю сделок
     if (stats.tradeHistory) {
@@ -1350,9 +3683,20 @@ setInterval(() => {
     if (stats.balanceHistory) {
       stats.balanceHistory = stats.balanceHistory.filter(record => record.timestamp > thirtyDaysAgo)
     }
+
+    // История funding; итоги в stats.funding остаются
+    if (stats.fundingHistory) {
+      stats.fundingHistory = stats.fundingHistory.filter(funding => funding.timestamp > thirtyDaysAgo)
+    }
   })
   
   console.log('🧹 Old PnL data cleared (older than 30 days)')
+
+  try {
+    storage.pruneDeliveries(Date.now() - CONFIG.WEBHOOK_LOG_RETENTION)
+  } catch (error) {
+    console.error('Error pruning webhook deliveries:', error)
+  }
 }, 24 * 60 * 60 * 1000) // раз в день
 
 // Загружаем rate limits при старте
@@ -1366,29 +3710,146 @@ const savedPnL = loadWalletPnL()
 Object.assign(walletPnL, savedPnL)
 
 // Handle graceful shutdown
-process.once('SIGINT', () => {
+async function shutdown(signal) {
   console.log('Shutting down gracefully...')
-  saveState(previousStates)
   saveRateLimits(Object.fromEntries(rateLimits))
-  saveWalletPnL(walletPnL)
-  bot.stop('SIGINT')
+  saveWalletPnL()
+  accountStream.stop()
+  markets.stop()
+  webhooks.stop()
+  if (httpApi) httpApi.stop()
+  bot.stop(signal)
+  // Chromium — отдельный процесс: дожидаемся его закрытия, чтобы он не пережил бота
+  await closeRenderer()
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'))
+process.once('SIGTERM', () => shutdown('SIGTERM'))
+
+// ===== Read-only HTTP API =====
+
+// from/to: миллисекунды epoch или ISO-дата
+function parseTimeParam(value, name) {
+  if (value === undefined || value === '') return null
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value)
+  if (!Number.isFinite(time)) throw new HttpError(400, `Invalid ${name}: expected epoch milliseconds or ISO date`)
+  return time
+}
+
+// Общая выборка для списков: фильтр по времени, затем limit/offset
+function paginate(items, query, timeKey = null) {
+  const limit = query.limit === undefined ? CONFIG.API_PAGE_SIZE : parseInt(query.limit)
+  const offset = query.offset === undefined ? 0 : parseInt(query.offset)
+  if (!(limit > 0) || limit > CONFIG.API_MAX_PAGE_SIZE) {
+    throw new HttpError(400, `limit must be between 1 and ${CONFIG.API_MAX_PAGE_SIZE}`)
+  }
+  if (!(offset >= 0)) throw new HttpError(400, 'offset must be a non-negative integer')
+
+  let filtered = items
+  if (timeKey) {
+    const from = parseTimeParam(query.from, 'from')
+    const to = parseTimeParam(query.to, 'to')
+    filtered = items.filter(item => (from === null || item[timeKey] >= from) && (to === null || item[timeKey] <= to))
+  }
+
+  return { items: filtered.slice(offset, offset + limit), total: filtered.length, limit, offset }
+}
+
+function resolveApiAddress(input) {
+  const address = safeToChecksumAddress(input)
+  if (!address || !getAddressToUsers().has(address)) throw new HttpError(404, 'Wallet is not tracked')
+  return address
+}
+
+function startHttpApi() {
+  if (!CONFIG.API_PORT) return null
+  if (!CONFIG.API_TOKEN) {
+    console.error('⚠️ API_PORT is set but API_TOKEN is missing, HTTP API disabled')
+    return null
+  }
+
+  const api = createHttpServer({ port: CONFIG.API_PORT, host: CONFIG.API_HOST, token: CONFIG.API_TOKEN })
+
+  // Prometheus забирает метрики с тем же токеном (bearer_token в scrape_config)
+  api.route('/metrics', () => metrics.render())
+
+  // ?user=<telegramId> — только кошельки этого пользователя
+  api.route('/api/watchlist', ({ query }) => {
+    const items = []
+    Object.entries(loadWatchlist()).forEach(([userId, addresses]) => {
+      if (query.user && query.user !== userId) return
+      Object.entries(addresses).forEach(([address, label]) => items.push({ userId, address, label }))
+    })
+    return paginate(items, query)
+  })
+
+  api.route('/api/snapshots', ({ query }) => {
+    const items = Array.from(getAddressToUsers().keys())
+      .filter(address => previousStates[address])
+      .map(address => ({ address, ...previousStates[address] }))
+    return paginate(items, query, 'fetchedAt')
+  })
+
+  api.route('/api/wallets/:address/snapshot', ({ params }) => {
+    const address = resolveApiAddress(params.address)
+    const state = previousStates[address]
+    if (!state) throw new HttpError(404, 'No snapshot yet')
+    return { address, ...state }
+  })
+
+  // Статистика без длинных историй — для них отдельные эндпоинты с пагинацией
+  api.route('/api/wallets/:address/pnl', ({ params }) => {
+    const address = resolveApiAddress(params.address)
+    const stats = getWalletPnLStats(address)
+    if (!stats) throw new HttpError(404, 'No PnL data yet')
+    const { tradeHistory, balanceHistory, fundingHistory, ledger, closedLots, ...summary } = stats
+    return { address, ...summary }
+  })
+
+  api.route('/api/wallets/:address/trades', ({ params, query }) => {
+    const address = resolveApiAddress(params.address)
+    const trades = (walletPnL[address]?.tradeHistory || []).slice().sort((a, b) => b.timestamp - a.timestamp)
+    return paginate(trades, query, 'timestamp')
+  })
+
+  api.route('/api/wallets/:address/balance', ({ params, query }) => {
+    const address = resolveApiAddress(params.address)
+    const history = (walletPnL[address]?.balanceHistory || []).slice().sort((a, b) => b.timestamp - a.timestamp)
+    return paginate(history, query, 'timestamp')
+  })
+
+  api.start()
+  return api
+}
+
+// Ошибка в обработчике не должна останавливать polling
+bot.catch((error, ctx) => {
+  console.error(`Error handling update ${ctx.update?.update_id}:`, error)
 })
 
-process.once('SIGTERM', () => {
-  console.log('Shutting down gracefully...')
-  saveState(previousStates)
-  saveRateLimits(Object.fromEntries(rateLimits))
-  saveWalletPnL(walletPnL)
-  bot.stop('SIGTERM')
+bot.launch().catch(error => {
+  console.error('❌ Bot stopped:', error)
+  process.exit(1)
 })
 
-bot.launch()
+markets.start()
+
+const httpApi = startHttpApi()
+
+if (CONFIG.USE_STREAM) {
+  syncStreamSubscriptions(Array.from(getAddressToUsers().keys()))
+  accountStream.start()
+}
 
-// Инициализация whitelist при запуске
-loadWhitelist()
+// whitelist.json можно по-прежнему править руками: новые ID добавляются при запуске
+syncWhitelistFile()
+refreshWhitelist()
 
 console.log('✅ Bot is running with enhanced PnL tracking...')
 console.log(`📊 Config: ${CONFIG.MAX_ADDRESSES_PER_USER} addresses/user, ${CONFIG.RATE_LIMIT_PER_USER} requests/min, ${CONFIG.CHECK_INTERVAL/1000}s intervals`)
-console.log(`📄 Whitelist file: ${WHITELIST_FILE} (add user IDs to this file for unlimited access)`)
+console.log(`🔌 Position source: ${CONFIG.USE_STREAM ? `stream ${CONFIG.STREAM_URL} with polling fallback` : 'polling'}`)
+console.log(`🗄️ Storage: ${DB_FILE}`)
+console.log(`📄 Whitelist file: ${WHITELIST_FILE} (merged on restart; admins can use /admin whitelist)`)
+console.log(`🛡 Admins: ${CONFIG.ADMIN_IDS.length ? CONFIG.ADMIN_IDS.join(', ') : 'none (set ADMIN_IDS)'}`)
 console.log(`💰 Enhanced PnL tracking enabled with trade history and risk metrics`)
 console.log(`📈 Available commands: /pnl, /trades, /export for detailed analysis`)
@@ -2,6 +2,7 @@ require('dotenv').config()
 const { Telegraf }   = require('telegraf')
 const { getCandles } = require('./candles')
 const { renderChart } = require('./render')
+const { parseOverlayTokens } = require('./overlays')
 
 const bot = new Telegraf(process.env.BOT_TOKEN)
 
@@ -34,7 +35,11 @@ function normalizeSymbolForExchange(raw, exchange) {
   return raw.endsWith('USDT') ? raw : raw + 'USDT'
 }
 
-async function handleChart(ctx, rawSymbol, interval, userEx) {
+async function handleChart(ctx, rawSymbol, interval, extra = []) {
+  // после таймфрейма идут индикаторы (ema20, sma50, vwap, novol) и, возможно, биржа
+  const { overlays, rest } = parseOverlayTokens(extra)
+  const userEx = rest[0]
+
   const resolution = resolutionMap[interval]
   if (!resolution) {
     return ctx.reply(
@@ -77,7 +82,8 @@ outer:
       candles,
       ticker:   usedSymbol,
       interval,
-      exchange: exchangeLabel
+      exchange: exchangeLabel,
+      overlays
     })
     await ctx.replyWithPhoto({ source: image })
   } catch (err) {
@@ -91,19 +97,19 @@ bot.on('text', async (ctx) => {
   const text = ctx.message.text.trim()
   if (text.startsWith('/')) {
     // поддерживаем и команду /chart тоже
-    const parts = text.replace(/^\//, '').split(' ')
+    const parts = text.replace(/^\//, '').split(/\s+/)
     if (parts[0] === 'chart') parts.shift()
     else return
-    // теперь parts = [SYMBOL, INTERVAL, EXCHANGE?]
-    const [sym, intv, ex] = parts
+    // теперь parts = [SYMBOL, INTERVAL, ...EXCHANGE/INDICATORS]
+    const [sym, intv, ...extra] = parts
     if (!sym || !resolutionMap[intv]) return
-    return handleChart(ctx, sym, intv, ex)
+    return handleChart(ctx, sym, intv, extra)
   }
 
-  // без слэша: просто "SYM TF [EX]"
-  const [sym, intv, ex] = text.split(' ')
+  // без слэша: просто "SYM TF [EX] [ema20 vwap novol ...]"
+  const [sym, intv, ...extra] = text.split(/\s+/)
   if (!sym || !resolutionMap[intv]) return
-  return handleChart(ctx, sym, intv, ex)
+  return handleChart(ctx, sym, intv, extra)
 })
 
 bot.launch()
@@ -1,6 +1,22 @@
 const fetch = require('node-fetch')
 
-async function getCandles(symbol = 'BTCUSDT', resolution = 60, exchange = 'binance-futures') {
+const REQUEST_TIMEOUT = Number(process.env.CHART_REQUEST_TIMEOUT) || 10000
+
+// JSON по URL с таймаутом: зависший запрос свечей не должен держать рендер.
+// Бот подставляет свой fetchJson (ретраи, метрики), отдельный charts/bot.js пользуется этим
+async function fetchJsonWithTimeout(url) {
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT)
+  try {
+    const res = await fetch(url, { signal: controller.signal })
+    if (!res.ok) throw new Error(`HTTP ${res.status}`)
+    return await res.json()
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+async function getCandles(symbol = 'BTCUSDT', resolution = 60, exchange = 'binance-futures', fetchJson = fetchJsonWithTimeout) {
   const now   = Date.now()
   const end   = now
   // если resolution заканчивается на 'D' — сутки в миллисекундах, иначе минуты
@@ -17,8 +33,7 @@ async function getCandles(symbol = 'BTCUSDT', resolution = 60, exchange = 'binan
              + `&end=${end}`
              + `&resolution=${resolution}`
 
-  const res  = await fetch(url)
-  const json = await res.json()
+  const json = await fetchJson(url)
   if (!json.arr || !Array.isArray(json.arr) || json.arr.length === 0) {
     throw new Error(`No data for ${symbol} on ${exchange}`)
   }
@@ -33,4 +48,45 @@ async function getCandles(symbol = 'BTCUSDT', resolution = 60, exchange = 'binan
   }))
 }
 
-module.exports = { getCandles }
+const LIGHTER_CANDLE_API = 'https://mainnet.zklighter.elliot.ai/api/v1/candlesticks'
+
+// Длительность свечи Lighter в миллисекундах
+const lighterResolutionMs = {
+  '1m': 60_000, '5m': 300_000, '15m': 900_000, '30m': 1_800_000,
+  '1h': 3_600_000, '4h': 14_400_000, '1d': 86_400_000,
+}
+
+// Свечи напрямую с Lighter по market_id (тот же эндпоинт, что и для mark price)
+async function getLighterCandles(marketId, resolution = '5m', count = 100, fetchJson = fetchJsonWithTimeout) {
+  const msPerCandle = lighterResolutionMs[resolution]
+  if (!msPerCandle) throw new Error(`Unsupported Lighter resolution ${resolution}`)
+
+  const end   = Date.now()
+  const begin = end - msPerCandle * count
+
+  const url  = `${LIGHTER_CANDLE_API}`
+             + `?market_id=${marketId}`
+             + `&resolution=${resolution}`
+             + `&start_timestamp=${begin}`
+             + `&end_timestamp=${end}`
+             + `&count_back=${count}`
+
+  const json = await fetchJson(url)
+  const arr  = Array.isArray(json.candlesticks) ? json.candlesticks : []
+  if (arr.length === 0) {
+    throw new Error(`No Lighter candles for market ${marketId}`)
+  }
+
+  return arr
+    .map(c => ({
+      time:   Math.floor(Number(c.timestamp) / 1000), // Lighter отдает миллисекунды
+      open:   parseFloat(c.open),
+      high:   parseFloat(c.high),
+      low:    parseFloat(c.low),
+      close:  parseFloat(c.close),
+      volume: parseFloat(c.volume0 ?? c.volume ?? 0)
+    }))
+    .sort((a, b) => a.time - b.time)
+}
+
+module.exports = { getCandles, getLighterCandles }
@@ -0,0 +1,116 @@
+// Индикаторы и горизонтальные линии поверх графика.
+// Считаются здесь, в Node, и одинаково передаются обоим бэкендам рендера (chart.html и svg.js)
+
+const EMA_COLORS = ['#29b6f6', '#ab47bc', '#ff7043']
+const SMA_COLORS = ['#66bb6a', '#ffa726', '#8d6e63']
+const VWAP_COLOR = '#e040fb'
+
+const LINE_STYLES = {
+  liquidation: { label: 'LIQ',  color: '#ff1744' },
+  takeProfit:  { label: 'TP',   color: '#00e676' },
+  stopLoss:    { label: 'SL',   color: '#ff9100' },
+  mark:        { label: 'Mark', color: '#90a4ae' }
+}
+
+function sma(candles, period) {
+  const points = []
+  let sum = 0
+  candles.forEach((c, i) => {
+    sum += c.close
+    if (i >= period) sum -= candles[i - period].close
+    if (i >= period - 1) points.push({ time: c.time, value: sum / period })
+  })
+  return points
+}
+
+function ema(candles, period) {
+  if (candles.length < period) return []
+  const k = 2 / (period + 1)
+  // стартуем с SMA первых period свечей
+  let value = candles.slice(0, period).reduce((s, c) => s + c.close, 0) / period
+  const points = [{ time: candles[period - 1].time, value }]
+  for (let i = period; i < candles.length; i++) {
+    value = candles[i].close * k + value * (1 - k)
+    points.push({ time: candles[i].time, value })
+  }
+  return points
+}
+
+// VWAP по всему окну свечей (типичная цена * объем)
+function vwap(candles) {
+  const points = []
+  let pv = 0
+  let volume = 0
+  candles.forEach(c => {
+    const v = c.volume || 0
+    pv += (c.high + c.low + c.close) / 3 * v
+    volume += v
+    if (volume > 0) points.push({ time: c.time, value: pv / volume })
+  })
+  return points
+}
+
+// Токены вида "ema20", "sma50", "vwap", "novol" -> настройки overlays. Объем рисуется по умолчанию.
+// Нераспознанные токены возвращаются отдельно (например, название биржи)
+function parseOverlayTokens(tokens) {
+  const overlays = { ema: [], sma: [], vwap: false, volume: true }
+  const rest = []
+
+  tokens.filter(Boolean).forEach(token => {
+    const t = token.toLowerCase()
+    const ma = /^(ema|sma)(\d{1,3})$/.exec(t)
+    if (ma && Number(ma[2]) > 1) overlays[ma[1]].push(Number(ma[2]))
+    else if (t === 'vwap') overlays.vwap = true
+    else if (t === 'vol' || t === 'volume') overlays.volume = true
+    else if (t === 'novol' || t === 'novolume') overlays.volume = false
+    else rest.push(token)
+  })
+
+  return { overlays, rest }
+}
+
+function toArray(value) {
+  if (value === null || value === undefined) return []
+  return Array.isArray(value) ? value : [value]
+}
+
+// overlays: { ema: [20], sma: [50], vwap, volume (по умолчанию true), liquidationPrice, markPrice,
+//             takeProfit: number | number[], stopLoss: number | number[], lines: [{ price, label, color }] }
+function computeOverlays(candles, overlays = {}) {
+  const series = []
+  const data = Array.isArray(candles) ? candles : []
+
+  toArray(overlays.ema).slice(0, EMA_COLORS.length).forEach((period, i) => {
+    series.push({ label: `EMA ${period}`, color: EMA_COLORS[i], points: ema(data, period) })
+  })
+  toArray(overlays.sma).slice(0, SMA_COLORS.length).forEach((period, i) => {
+    series.push({ label: `SMA ${period}`, color: SMA_COLORS[i], points: sma(data, period) })
+  })
+  if (overlays.vwap) {
+    series.push({ label: 'VWAP', color: VWAP_COLOR, points: vwap(data) })
+  }
+
+  const lines = []
+  const addLine = (kind, price) => {
+    const value = Number(price)
+    if (Number.isFinite(value) && value > 0) lines.push({ price: value, ...LINE_STYLES[kind] })
+  }
+  addLine('liquidation', overlays.liquidationPrice)
+  addLine('mark', overlays.markPrice)
+  toArray(overlays.takeProfit).forEach(price => addLine('takeProfit', price))
+  toArray(overlays.stopLoss).forEach(price => addLine('stopLoss', price))
+  toArray(overlays.lines).forEach(line => {
+    const value = Number(line.price)
+    if (Number.isFinite(value) && value > 0) {
+      lines.push({ price: value, label: line.label || '', color: line.color || '#bdbdbd' })
+    }
+  })
+
+  return {
+    series: series.filter(s => s.points.length > 0),
+    volume: overlays.volume !== false,
+    lines
+  }
+}
+
+module.exports = { sma, ema, vwap, parseOverlayTokens, computeOverlays }
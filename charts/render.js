@@ -1,38 +1,242 @@
 const fs        = require('fs')
 const path      = require('path')
-const puppeteer = require('puppeteer')
+const { computeOverlays } = require('./overlays')
 
-async function renderChart({ candles, ticker, interval, exchange, avgLine = null, events = [] }) {
-  const tplPath = path.join(__dirname, 'chart.html')
-  let html = fs.readFileSync(tplPath, 'utf8')
+// Бэкенд рендера: puppeteer (chart.html в Chromium) или svg (без браузера, см. svg.js).
+// Оба подключаются лениво, чтобы на хосте без Chromium хватало svg
+const RENDERER = (process.env.CHART_RENDERER || 'puppeteer').toLowerCase()
 
+// puppeteer: один долгоживущий Chromium на процесс, несколько переиспользуемых вкладок
+// и ограниченная очередь рендеров
+const POOL_SIZE      = Number(process.env.CHART_POOL_SIZE) || 2
+const MAX_QUEUE      = Number(process.env.CHART_MAX_QUEUE) || 20
+const RENDER_TIMEOUT = Number(process.env.CHART_RENDER_TIMEOUT) || 15000
+const WATCHDOG_INTERVAL = 30000
+
+const tplPath  = path.join(__dirname, 'chart.html')
+const template = fs.readFileSync(tplPath, 'utf8')
+const equityTemplate = fs.readFileSync(path.join(__dirname, 'equity.html'), 'utf8')
+
+let browserPromise = null
+let browser        = null // уже запущенный экземпляр
+let watchdogTimer  = null
+const idlePages = []
+const queue     = [] // ожидающие рендеры: { job (html), resolve, reject }
+let activeRenders = 0
+
+function withTimeout(promise, ms, message) {
+  let timer
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(message)), ms) })
+  ]).finally(() => clearTimeout(timer))
+}
+
+function resetBrowser() {
+  browserPromise = null
+  browser = null
+  idlePages.length = 0
+}
+
+function getBrowser() {
+  if (!browserPromise) {
+    const puppeteer = require('puppeteer')
+    const launching = puppeteer.launch({
+      headless: 'new',
+      args: ['--no-sandbox','--disable-setuid-sandbox']
+    }).then(instance => {
+      // Chromium упал или был закрыт — следующий рендер поднимет новый
+      instance.on('disconnected', () => {
+        if (browser === instance) {
+          console.error('⚠️ Chart browser disconnected, it will be relaunched')
+          resetBrowser()
+        }
+      })
+      if (browserPromise === launching) browser = instance
+      startWatchdog()
+      return instance
+    }).catch(err => {
+      if (browserPromise === launching) resetBrowser()
+      throw err
+    })
+    browserPromise = launching
+  }
+  return browserPromise
+}
+
+// Watchdog: если браузер завис и не отвечает — убиваем и перезапускаем при следующем рендере
+function startWatchdog() {
+  if (watchdogTimer) return
+  watchdogTimer = setInterval(async () => {
+    const current = browser
+    if (!current) return
+    try {
+      await withTimeout(current.version(), 5000, 'Chart browser is not responding')
+    } catch (err) {
+      console.error(`⚠️ ${err.message}, restarting`)
+      resetBrowser()
+      const proc = current.process()
+      if (proc) proc.kill('SIGKILL')
+    }
+  }, WATCHDOG_INTERVAL)
+  watchdogTimer.unref()
+}
+
+async function acquirePage() {
+  const instance = await getBrowser()
+  while (idlePages.length > 0) {
+    const page = idlePages.pop()
+    if (!page.isClosed()) return page
+  }
+  const page = await instance.newPage()
+  await page.setViewport({ width: 800, height: 400 })
+  return page
+}
+
+function releasePage(page, healthy) {
+  if (healthy && !page.isClosed() && browser && page.browser() === browser) {
+    idlePages.push(page)
+  } else if (!page.isClosed()) {
+    page.close().catch(() => {})
+  }
+}
+
+function buildHtml({ candles, ticker, interval, exchange, avgLine = null, events = [], overlays = null }) {
   // Конвертируем events в нужный формат для маркеров
   const positions = events.map(event => ({
     time: new Date(event.time * 1000).toISOString(),
     type: event.side, // 'buy' или 'sell'
+    flip: Boolean(event.flip), // разворот позиции
     price: event.price,
     size: 1 // можно добавить реальный размер позиции если есть
   }))
 
-  html = html
+  return template
     .replace('__DATA__', JSON.stringify(candles))
     .replace('__TICKER__', ticker || 'BTC/USD')
     .replace('__INTERVAL__', interval || '1m')
     .replace('__EXCHANGE__', exchange || 'BINANCE')
     .replace('__AVG_PRICE__', avgLine || 'null')
     .replace('__POSITIONS__', JSON.stringify(positions))
+    .replace('__OVERLAYS__', JSON.stringify(overlays))
+}
 
-  const browser = await puppeteer.launch({
-    headless: 'new',
-    args: ['--no-sandbox','--disable-setuid-sandbox']
+// Точки кривой капитала для lightweight-charts: время строго возрастает,
+// маркер сделки привязан к последней точке не позже нее
+function prepareEquity({ title, points = [], trades = [], drawdowns = [] }) {
+  const series = []
+  points
+    .slice()
+    .sort((a, b) => a.time - b.time)
+    .forEach(point => {
+      if (series.length && series[series.length - 1].time === point.time) series[series.length - 1] = point
+      else series.push(point)
+    })
+
+  const markers = []
+  trades.forEach(trade => {
+    const anchor = series.filter(p => p.time <= trade.time).pop()
+    if (anchor) markers.push({ ...trade, time: anchor.time })
   })
-  const page = await browser.newPage()
-  await page.setViewport({ width: 800, height: 400 })
-  await page.setContent(html, { waitUntil: 'networkidle0' })
-  await new Promise(r => setTimeout(r, 500)) // увеличиваем задержку для прорисовки
-  const buffer = await page.screenshot({ type: 'png' })
-  await browser.close()
-  return buffer
+  markers.sort((a, b) => a.time - b.time)
+
+  return { title: title || 'Equity', points: series, trades: markers, drawdowns }
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+function buildEquityHtml({ title, points, trades, drawdowns }) {
+  // заголовок содержит метку пользователя — экранируем и не даем replace трактовать "$"
+  return equityTemplate
+    .replace('__TITLE__', () => escapeHtml(title))
+    .replace('__POINTS__', JSON.stringify(points))
+    .replace('__TRADES__', JSON.stringify(trades))
+    .replace('__DRAWDOWNS__', JSON.stringify(drawdowns))
+}
+
+async function renderOnPage(html) {
+  const page = await acquirePage()
+  let healthy = false
+  // screenshot и evaluate не принимают таймаут: зависшую вкладку закрываем,
+  // ее незавершенные вызовы отклоняются, и слот пула освобождается
+  const deadline = setTimeout(() => page.close().catch(() => {}), RENDER_TIMEOUT * 2)
+  try {
+    await page.setContent(html, { waitUntil: 'load', timeout: RENDER_TIMEOUT })
+    // chart.html выставляет chartReady после отрисовки или chartError при ошибке
+    await page.waitForFunction('window.chartReady === true || window.chartError', { timeout: RENDER_TIMEOUT })
+    const chartError = await page.evaluate(() => window.chartError)
+    if (chartError) throw new Error(`Chart render failed: ${chartError}`)
+
+    const buffer = await page.screenshot({ type: 'png' })
+    healthy = true
+    return buffer
+  } finally {
+    clearTimeout(deadline)
+    releasePage(page, healthy)
+  }
+}
+
+function drainQueue() {
+  while (activeRenders < POOL_SIZE && queue.length > 0) {
+    const { job, resolve, reject } = queue.shift()
+    activeRenders++
+    const render = renderOnPage(job)
+    // вызывающий получает ошибку по таймауту, но слот занят, пока вкладка не закончит работу
+    withTimeout(render, RENDER_TIMEOUT * 2, 'Chart render timed out').then(resolve, reject)
+    render.catch(() => {}).finally(() => {
+      activeRenders--
+      drainQueue()
+    })
+  }
+}
+
+function renderWithBrowser(html) {
+  if (queue.length >= MAX_QUEUE) {
+    return Promise.reject(new Error('Chart render queue is full'))
+  }
+  return new Promise((resolve, reject) => {
+    queue.push({ job: html, resolve, reject })
+    drainQueue()
+  })
+}
+
+// Общий контракт для обоих бэкендов:
+// renderChart({ candles, ticker, interval, exchange, avgLine, events, overlays }) -> PNG Buffer
+// overlays (необязательно) — см. computeOverlays в overlays.js:
+// { ema: [20], sma: [50], vwap, volume, liquidationPrice, markPrice, takeProfit, stopLoss, lines }
+function renderChart(options) {
+  const prepared = { ...options, overlays: computeOverlays(options.candles, options.overlays) }
+  if (RENDERER === 'svg') {
+    const { renderSvgChart } = require('./svg')
+    return renderSvgChart(prepared)
+  }
+  return renderWithBrowser(buildHtml(prepared))
+}
+
+// Кривая капитала через тот же конвейер:
+// renderEquityChart({ title, points: [{ time, balance, equity }], trades: [{ time, pnl }],
+//                     drawdowns: [{ start, end, depth }] }) -> PNG Buffer; время в секундах
+function renderEquityChart(options) {
+  const prepared = prepareEquity(options)
+  if (RENDERER === 'svg') {
+    const { renderSvgEquityChart } = require('./svg')
+    return renderSvgEquityChart(prepared)
+  }
+  return renderWithBrowser(buildEquityHtml(prepared))
+}
+
+// Закрыть браузер при остановке процесса
+async function closeRenderer() {
+  clearInterval(watchdogTimer)
+  watchdogTimer = null
+  const current = browserPromise
+  resetBrowser()
+  if (current) {
+    const instance = await current.catch(() => null)
+    if (instance) await instance.close().catch(() => {})
+  }
 }
 
-module.exports = { renderChart }
+module.exports = { renderChart, renderEquityChart, closeRenderer }
@@ -0,0 +1,329 @@
+const { Resvg } = require('@resvg/resvg-js')
+
+// Рендер графика без браузера: рисуем SVG сами и растрируем в PNG внутри процесса.
+// Внешний вид повторяет chart.html: черный фон, свечи, линия средней цены, маркеры сделок и overlays
+const WIDTH  = 800
+const HEIGHT = 400
+const AXIS_RIGHT  = 70
+const AXIS_BOTTOM = 22
+const TOP = 10
+
+const COLORS = {
+  background: '#000',
+  grid:   '#222',
+  border: '#444',
+  text:   '#ccc',
+  up:     '#26a69a',
+  down:   '#ef5350',
+  avg:    '#ffeb3b'
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// Количество знаков зависит от порядка цены
+function formatPrice(value) {
+  const abs = Math.abs(value)
+  if (abs >= 1000) return value.toFixed(1)
+  if (abs >= 1) return value.toFixed(3)
+  if (abs >= 0.01) return value.toFixed(5)
+  return value.toPrecision(4)
+}
+
+function formatTime(seconds) {
+  return new Date(seconds * 1000).toISOString().slice(11, 16)
+}
+
+function createScales(candles, { avgLine, withVolume, lines }) {
+  const plotWidth = WIDTH - AXIS_RIGHT
+  const priceBottom = withVolume ? HEIGHT * 0.78 : HEIGHT - AXIS_BOTTOM
+  const volumeTop = priceBottom + 6
+  const volumeBottom = HEIGHT - AXIS_BOTTOM
+
+  let high = Math.max(...candles.map(c => c.high))
+  let low  = Math.min(...candles.map(c => c.low))
+  if (avgLine > 0) {
+    high = Math.max(high, avgLine)
+    low  = Math.min(low, avgLine)
+  }
+  // как в chart.html: далекие линии не сжимают свечи, их подпись прижимается к краю
+  const range = high - low
+  lines.forEach(line => {
+    if (line.price <= high + range && line.price >= low - range) {
+      high = Math.max(high, line.price)
+      low  = Math.min(low, line.price)
+    }
+  })
+  const pad = (high - low) * 0.05 || high * 0.01 || 1
+  high += pad
+  low  -= pad
+
+  const maxVolume = Math.max(...candles.map(c => c.volume || 0)) || 1
+  const slot = plotWidth / candles.length
+
+  return {
+    plotWidth,
+    priceBottom,
+    volumeTop,
+    volumeBottom,
+    slot,
+    high,
+    low,
+    x: index => slot * index + slot / 2,
+    y: price => TOP + (high - price) / (high - low) * (priceBottom - TOP),
+    volumeY: volume => volumeBottom - (volume / maxVolume) * (volumeBottom - volumeTop)
+  }
+}
+
+function drawGrid(scales) {
+  const parts = []
+  const steps = 5
+  for (let i = 0; i <= steps; i++) {
+    const price = scales.low + (scales.high - scales.low) * i / steps
+    const y = scales.y(price)
+    parts.push(`<line x1="0" y1="${y}" x2="${scales.plotWidth}" y2="${y}" stroke="${COLORS.grid}"/>`)
+    parts.push(`<text x="${scales.plotWidth + 6}" y="${y + 4}" fill="${COLORS.text}" font-size="11">${formatPrice(price)}</text>`)
+  }
+  parts.push(`<line x1="${scales.plotWidth}" y1="0" x2="${scales.plotWidth}" y2="${HEIGHT - AXIS_BOTTOM}" stroke="${COLORS.border}"/>`)
+  parts.push(`<line x1="0" y1="${HEIGHT - AXIS_BOTTOM}" x2="${WIDTH}" y2="${HEIGHT - AXIS_BOTTOM}" stroke="${COLORS.border}"/>`)
+  return parts
+}
+
+function drawTimeAxis(candles, scales) {
+  const parts = []
+  const every = Math.max(1, Math.ceil(candles.length / 6))
+  candles.forEach((candle, index) => {
+    const x = scales.x(index)
+    // подпись у самого края обрезается — пропускаем
+    if (index % every !== 0 || x < 20) return
+    parts.push(`<line x1="${x}" y1="0" x2="${x}" y2="${HEIGHT - AXIS_BOTTOM}" stroke="${COLORS.grid}"/>`)
+    parts.push(`<text x="${x}" y="${HEIGHT - 6}" fill="${COLORS.text}" font-size="11" text-anchor="middle">${formatTime(candle.time)}</text>`)
+  })
+  return parts
+}
+
+function drawCandles(candles, scales, withVolume) {
+  const parts = []
+  const bodyWidth = Math.max(1, scales.slot * 0.7)
+
+  candles.forEach((c, index) => {
+    const color = c.close >= c.open ? COLORS.up : COLORS.down
+    const x = scales.x(index)
+    const top = scales.y(Math.max(c.open, c.close))
+    const bottom = scales.y(Math.min(c.open, c.close))
+
+    parts.push(`<line x1="${x}" y1="${scales.y(c.high)}" x2="${x}" y2="${scales.y(c.low)}" stroke="${color}"/>`)
+    parts.push(`<rect x="${x - bodyWidth / 2}" y="${top}" width="${bodyWidth}" height="${Math.max(1, bottom - top)}" fill="${color}"/>`)
+
+    if (withVolume && c.volume > 0) {
+      const vy = scales.volumeY(c.volume)
+      parts.push(`<rect x="${x - bodyWidth / 2}" y="${vy}" width="${bodyWidth}" height="${scales.volumeBottom - vy}" fill="${color}" fill-opacity="0.4"/>`)
+    }
+  })
+  return parts
+}
+
+function drawAvgLine(avgLine, scales) {
+  if (!(avgLine > 0)) return []
+  const y = scales.y(avgLine)
+  return [
+    `<line x1="0" y1="${y}" x2="${scales.plotWidth}" y2="${y}" stroke="${COLORS.avg}" stroke-width="2" stroke-dasharray="6 4"/>`,
+    `<rect x="${scales.plotWidth}" y="${y - 8}" width="${AXIS_RIGHT}" height="16" fill="${COLORS.avg}"/>`,
+    `<text x="${scales.plotWidth + 4}" y="${y + 4}" fill="#000" font-size="11">${formatPrice(avgLine)}</text>`
+  ]
+}
+
+function drawIndicators(candles, series, scales) {
+  const indexByTime = new Map(candles.map((c, i) => [c.time, i]))
+  return series.map(item => {
+    const points = item.points
+      .filter(p => indexByTime.has(p.time))
+      .map(p => `${scales.x(indexByTime.get(p.time)).toFixed(1)},${scales.y(p.value).toFixed(1)}`)
+    if (points.length < 2) return ''
+    return `<polyline points="${points.join(' ')}" fill="none" stroke="${item.color}" stroke-width="1.5"/>`
+  })
+}
+
+function drawPriceLines(lines, scales) {
+  const parts = []
+  lines.forEach(line => {
+    const inRange = line.price <= scales.high && line.price >= scales.low
+    const y = Math.min(Math.max(scales.y(line.price), TOP + 8), scales.priceBottom - 8)
+    if (inRange) {
+      parts.push(`<line x1="0" y1="${y}" x2="${scales.plotWidth}" y2="${y}" stroke="${line.color}" stroke-dasharray="2 3"/>`)
+    }
+    const arrow = inRange ? '' : (line.price > scales.high ? ' ▲' : ' ▼')
+    parts.push(`<rect x="${scales.plotWidth}" y="${y - 8}" width="${AXIS_RIGHT}" height="16" fill="${line.color}"/>`)
+    parts.push(`<text x="${scales.plotWidth + 4}" y="${y + 4}" fill="#000" font-size="11">${formatPrice(line.price)}</text>`)
+    parts.push(`<text x="${scales.plotWidth - 4}" y="${y - 4}" fill="${line.color}" font-size="11" text-anchor="end">${escapeXml(line.label + arrow)}</text>`)
+  })
+  return parts
+}
+
+// Маркер ставим на свечу, в которую попадает время события
+function drawMarkers(candles, events, scales) {
+  const parts = []
+  events.forEach(event => {
+    let index = -1
+    candles.forEach((c, i) => { if (c.time <= event.time) index = i })
+    if (index === -1) return
+
+    const c = candles[index]
+    const x = scales.x(index)
+    const isBuy = event.side === 'buy'
+    const color = isBuy ? COLORS.up : COLORS.down
+    const text = event.flip ? 'F' : (isBuy ? 'B' : 'S')
+
+    if (isBuy) {
+      const y = scales.y(c.low) + 6
+      parts.push(`<path d="M ${x} ${y} L ${x - 6} ${y + 10} L ${x + 6} ${y + 10} Z" fill="${color}"/>`)
+      parts.push(`<text x="${x}" y="${y + 24}" fill="${color}" font-size="12" font-weight="600" text-anchor="middle">${text}</text>`)
+    } else {
+      const y = scales.y(c.high) - 6
+      parts.push(`<path d="M ${x} ${y} L ${x - 6} ${y - 10} L ${x + 6} ${y - 10} Z" fill="${color}"/>`)
+      parts.push(`<text x="${x}" y="${y - 14}" fill="${color}" font-size="12" font-weight="600" text-anchor="middle">${text}</text>`)
+    }
+  })
+  return parts
+}
+
+function drawInfo(title, series) {
+  const width = Math.min(WIDTH - 20, 24 + title.length * 8)
+  const parts = [
+    `<rect x="10" y="10" width="${width}" height="30" rx="6" fill="#000" fill-opacity="0.8" stroke="#333"/>`,
+    `<text x="22" y="30" fill="#fff" font-size="14" font-weight="600">${escapeXml(title)}</text>`
+  ]
+  // легенда индикаторов под заголовком
+  series.forEach((item, index) => {
+    parts.push(`<text x="14" y="${58 + index * 14}" fill="${item.color}" font-size="11">${escapeXml(item.label)}</text>`)
+  })
+  return parts
+}
+
+function buildSvg({ candles, ticker, interval, exchange, avgLine = null, events = [], overlays = null }) {
+  const title = `${ticker || 'BTC/USD'} ${interval || '1m'} — ${exchange || 'BINANCE'}`
+  const body = []
+
+  if (!Array.isArray(candles) || candles.length === 0) {
+    body.push(`<text x="${WIDTH / 2}" y="${HEIGHT / 2}" fill="#fff" font-size="16" text-anchor="middle">No chart data available</text>`)
+  } else {
+    const series = (overlays && overlays.series) || []
+    const lines = (overlays && overlays.lines) || []
+    const withVolume = (!overlays || overlays.volume !== false) && candles.some(c => c.volume > 0)
+    const scales = createScales(candles, { avgLine, withVolume, lines })
+    body.push(
+      ...drawGrid(scales),
+      ...drawTimeAxis(candles, scales),
+      ...drawCandles(candles, scales, withVolume),
+      ...drawIndicators(candles, series, scales),
+      ...drawAvgLine(avgLine, scales),
+      ...drawPriceLines(lines, scales),
+      ...drawMarkers(candles, events, scales),
+      ...drawInfo(title, series)
+    )
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="Segoe UI, DejaVu Sans, sans-serif">` +
+    `<rect width="100%" height="100%" fill="${COLORS.background}"/>` +
+    body.join('') +
+    '</svg>'
+}
+
+// Кривая капитала: время по оси X пропорционально, а не по индексу свечи
+function buildEquitySvg({ title, points, trades = [], drawdowns = [] }) {
+  const body = []
+
+  if (!Array.isArray(points) || points.length < 2) {
+    body.push(`<text x="${WIDTH / 2}" y="${HEIGHT / 2}" fill="#fff" font-size="16" text-anchor="middle">Not enough balance history</text>`)
+  } else {
+    const plotWidth = WIDTH - AXIS_RIGHT
+    const plotTop = 50 // место под заголовок
+    const plotBottom = HEIGHT - AXIS_BOTTOM
+    const start = points[0].time
+    const end = points[points.length - 1].time
+
+    let high = Math.max(...points.map(p => Math.max(p.equity, p.balance)))
+    let low  = Math.min(...points.map(p => Math.min(p.equity, p.balance)))
+    const pad = (high - low) * 0.05 || high * 0.01 || 1
+    high += pad
+    low  -= pad
+
+    const scales = {
+      plotWidth,
+      high,
+      low,
+      x: time => (time - start) / (end - start || 1) * plotWidth,
+      y: value => plotTop + (high - value) / (high - low) * (plotBottom - plotTop)
+    }
+
+    drawdowns.forEach(d => {
+      const x1 = scales.x(Math.max(d.start, start))
+      const x2 = scales.x(d.end === null || d.end === undefined ? end : Math.min(d.end, end))
+      body.push(`<rect x="${x1}" y="0" width="${Math.max(1, x2 - x1)}" height="${plotBottom}" fill="${COLORS.down}" fill-opacity="0.15"/>`)
+    })
+
+    body.push(...drawGrid(scales))
+
+    const every = Math.max(1, Math.ceil(points.length / 6))
+    points.forEach((point, index) => {
+      const x = scales.x(point.time)
+      if (index % every !== 0 || x < 20 || x > plotWidth - 20) return
+      // на длинных периодах показываем дату, на коротких — время
+      const label = end - start > 2 * 86400
+        ? new Date(point.time * 1000).toISOString().slice(5, 10)
+        : formatTime(point.time)
+      body.push(`<text x="${x}" y="${HEIGHT - 6}" fill="${COLORS.text}" font-size="11" text-anchor="middle">${label}</text>`)
+    })
+
+    const path = key => points.map(p => `${scales.x(p.time).toFixed(1)},${scales.y(p[key]).toFixed(1)}`).join(' ')
+    const equityPath = path('equity')
+    body.push(`<polygon points="0,${plotBottom} ${equityPath} ${plotWidth},${plotBottom}" fill="#29b6f6" fill-opacity="0.15"/>`)
+    body.push(`<polyline points="${path('balance')}" fill="none" stroke="#90a4ae" stroke-dasharray="4 3"/>`)
+    body.push(`<polyline points="${equityPath}" fill="none" stroke="#29b6f6" stroke-width="2"/>`)
+
+    const byTime = new Map(points.map(p => [p.time, p]))
+    trades.forEach(trade => {
+      const point = byTime.get(trade.time)
+      if (!point) return
+      const color = trade.pnl >= 0 ? COLORS.up : COLORS.down
+      const x = scales.x(trade.time)
+      const y = scales.y(point.equity)
+      const textY = trade.pnl >= 0 ? y - 8 : y + 16
+      body.push(`<circle cx="${x}" cy="${y}" r="4" fill="${color}"/>`)
+      body.push(`<text x="${x}" y="${textY}" fill="${color}" font-size="10" text-anchor="middle">${(trade.pnl >= 0 ? '+' : '') + trade.pnl.toFixed(0)}</text>`)
+    })
+
+    body.push(...drawInfo(title, [
+      { label: 'Equity', color: '#29b6f6' },
+      { label: 'Balance', color: '#90a4ae' }
+    ]))
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="Segoe UI, DejaVu Sans, sans-serif">` +
+    `<rect width="100%" height="100%" fill="${COLORS.background}"/>` +
+    body.join('') +
+    '</svg>'
+}
+
+function svgToPng(svg) {
+  const resvg = new Resvg(svg, {
+    background: COLORS.background,
+    font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+  })
+  return resvg.render().asPng()
+}
+
+async function renderSvgChart(options) {
+  return svgToPng(buildSvg(options))
+}
+
+async function renderSvgEquityChart(options) {
+  return svgToPng(buildEquitySvg(options))
+}
+
+module.exports = { buildSvg, buildEquitySvg, svgToPng, renderSvgChart, renderSvgEquityChart }
@@ -0,0 +1,90 @@
+// Общий слой команд: разбор аргументов с кавычками, поиск кошелька по адресу/метке/префиксу
+// с подсказками при опечатках и тексты usage для каждой команды.
+
+// "/pnl@bot "My wallet" 7d" -> { command: 'pnl', args: ['My wallet', '7d'] }
+// Понимает "...", '...' и типографские кавычки, которые подставляют мобильные клиенты
+function parseArgs(text) {
+  const input = String(text || '').trim()
+  const head = /^\/(\w+)(?:@\w+)?/.exec(input)
+  const rest = head ? input.slice(head[0].length) : input
+
+  const args = []
+  const pattern = /"([^"]*)"|'([^']*)'|“([^”]*)”|«([^»]*)»|(\S+)/g
+  let match
+  while ((match = pattern.exec(rest)) !== null) {
+    const value = match.slice(1, 6).find(group => group !== undefined)
+    args.push(value)
+  }
+
+  return { command: head ? head[1].toLowerCase() : null, args }
+}
+
+// Расстояние Дамерау-Левенштейна (перестановка соседних букв — одна правка)
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)])
+  for (let j = 1; j <= b.length; j++) d[0][j] = j
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1)
+      }
+    }
+  }
+  return d[a.length][b.length]
+}
+
+// Поиск в watchlist пользователя ({ address -> label }) по:
+//   1) точному адресу (регистр не важен), 2) точной метке, затем метке без учета регистра,
+//   3) префиксу адреса или метки — если совпадение одно (prefix: false — только точные совпадения).
+// Результат: { wallet: { address, label } } | { ambiguous: [wallets] } | { suggestions: [wallets] }
+function resolveWallet(userList, key, { minPrefix = 3, prefix = true } = {}) {
+  const entries = Object.entries(userList || {}).map(([address, label]) => ({ address, label: label || '' }))
+  const toWallet = entry => ({ address: entry.address, label: entry.label || entry.address })
+  const needle = String(key || '').trim()
+  const lower = needle.toLowerCase()
+  if (!needle) return { suggestions: [] }
+
+  const byAddress = entries.find(e => e.address.toLowerCase() === lower)
+  if (byAddress) return { wallet: toWallet(byAddress) }
+
+  const byLabel = entries.find(e => e.label === needle)
+  if (byLabel) return { wallet: toWallet(byLabel) }
+  const byLabelIgnoreCase = entries.filter(e => e.label.toLowerCase() === lower)
+  if (byLabelIgnoreCase.length === 1) return { wallet: toWallet(byLabelIgnoreCase[0]) }
+  if (byLabelIgnoreCase.length > 1) return { ambiguous: byLabelIgnoreCase.map(toWallet) }
+  if (!prefix) return { suggestions: [] }
+
+  // префикс адреса — минимум 4 hex-символа, "0x" можно не писать
+  const hexPrefix = /^(0x)?[0-9a-f]{4,}$/.test(lower) ? (lower.startsWith('0x') ? lower : `0x${lower}`) : null
+  const prefixed = entries.filter(e =>
+    (hexPrefix && e.address.toLowerCase().startsWith(hexPrefix)) ||
+    (needle.length >= minPrefix && e.label.toLowerCase().startsWith(lower))
+  )
+  if (prefixed.length === 1) return { wallet: toWallet(prefixed[0]) }
+  if (prefixed.length > 1) return { ambiguous: prefixed.map(toWallet) }
+
+  // опечатки: метки на расстоянии до трети длины (минимум 1), самые близкие первыми
+  const suggestions = entries
+    .filter(e => e.label)
+    .map(e => ({ entry: e, distance: editDistance(lower, e.label.toLowerCase()) }))
+    .filter(({ entry, distance }) => distance <= Math.max(1, Math.ceil(entry.label.length / 3)))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 3)
+    .map(({ entry }) => toWallet(entry))
+
+  return { suggestions }
+}
+
+// spec: { args: '<address|label> [count]', description, examples: [] }
+function formatUsage(name, spec) {
+  if (!spec) return `Usage: /${name}`
+  let text = `Usage: /${name}${spec.args ? ` ${spec.args}` : ''}`
+  if (spec.description) text += `\n${spec.description}`
+  if (spec.examples?.length) text += `\n\nExamples:\n${spec.examples.map(example => `/${name} ${example}`).join('\n')}`
+  return text
+}
+
+module.exports = { parseArgs, resolveWallet, formatUsage, editDistance }
@@ -0,0 +1,102 @@
+// Реестр рынков Lighter: symbol <-> market_id, точность цен и размеров, статус.
+// Загружается из order-book эндпоинта и периодически обновляется.
+function createMarketRegistry({ fetchJson, url, refreshInterval = 10 * 60 * 1000 }) {
+  let bySymbol = new Map()
+  let byId = new Map()
+  let loadedAt = 0
+  let timer = null
+
+  function toNumber(value) {
+    const num = parseFloat(value)
+    return Number.isFinite(num) ? num : null
+  }
+
+  function normalizeMarket(raw) {
+    return {
+      symbol: String(raw.symbol).toUpperCase(),
+      marketId: Number(raw.market_id),
+      status: raw.status || 'unknown',
+      priceDecimals: Number(raw.price_decimals ?? raw.supported_price_decimals ?? 4),
+      sizeDecimals: Number(raw.size_decimals ?? raw.supported_size_decimals ?? 4),
+      minBaseAmount: toNumber(raw.min_base_amount),
+      minQuoteAmount: toNumber(raw.min_quote_amount),
+      makerFee: toNumber(raw.maker_fee),
+      takerFee: toNumber(raw.taker_fee)
+    }
+  }
+
+  async function refresh() {
+    const json = await fetchJson(url)
+    const list = Array.isArray(json.order_books) ? json.order_books : []
+    if (list.length === 0) throw new Error('Empty market list')
+
+    const nextBySymbol = new Map()
+    const nextById = new Map()
+    list.map(normalizeMarket).forEach(market => {
+      nextBySymbol.set(market.symbol, market)
+      nextById.set(market.marketId, market)
+    })
+
+    bySymbol = nextBySymbol
+    byId = nextById
+    loadedAt = Date.now()
+    return list.length
+  }
+
+  // Символ в свободной форме: "btc", "BTCUSDT", "BTC-USD", "BTC/USD"
+  function resolve(input) {
+    if (input === null || input === undefined) return null
+    if (typeof input === 'number') return byId.get(input) || null
+
+    const raw = String(input).trim().toUpperCase()
+    if (/^\d+$/.test(raw)) return byId.get(Number(raw)) || null
+    if (bySymbol.has(raw)) return bySymbol.get(raw)
+
+    const base = raw.replace(/[-/]?(USDT|USDC|USD|PERP)$/, '')
+    return bySymbol.get(base) || null
+  }
+
+  function format(value, decimals) {
+    if (value === null || value === undefined || !Number.isFinite(Number(value))) return 'N/A'
+    return Number(value).toFixed(decimals)
+  }
+
+  return {
+    refresh,
+
+    start() {
+      refresh().catch(error => console.error('⚠️ Error loading Lighter markets:', error.message))
+      timer = setInterval(() => {
+        refresh().catch(error => console.error('⚠️ Error refreshing Lighter markets:', error.message))
+      }, refreshInterval)
+    },
+
+    stop() {
+      clearInterval(timer)
+    },
+
+    resolve,
+
+    list() {
+      return Array.from(bySymbol.values()).sort((a, b) => a.symbol.localeCompare(b.symbol))
+    },
+
+    isLoaded() {
+      return loadedAt > 0
+    },
+
+    // Без данных о рынке — прежнее поведение, 4 знака
+    formatPrice(market, value) {
+      const info = typeof market === 'object' && market !== null ? market : resolve(market)
+      return format(value, info ? info.priceDecimals : 4)
+    },
+
+    formatSize(market, value) {
+      const info = typeof market === 'object' && market !== null ? market : resolve(market)
+      if (!info) return value === null || value === undefined ? 'N/A' : String(value)
+      return format(value, info.sizeDecimals)
+    }
+  }
+}
+
+module.exports = { createMarketRegistry }
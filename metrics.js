@@ -0,0 +1,141 @@
+const client = require('prom-client')
+
+// Метрики Prometheus для мониторинга, клиента Lighter API, графиков и Telegram.
+// Отдаются через /metrics HTTP-сервера (см. api.js)
+function createMetrics({ prefix = 'lighter_bot_', collectDefault = true } = {}) {
+  const register = new client.Registry()
+  if (collectDefault) client.collectDefaultMetrics({ register, prefix })
+
+  const pollDuration = new client.Histogram({
+    name: `${prefix}poll_cycle_duration_seconds`,
+    help: 'Duration of one polling cycle over all tracked wallets',
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60],
+    registers: [register]
+  })
+
+  const pollAddresses = new client.Gauge({
+    name: `${prefix}poll_cycle_addresses`,
+    help: 'Wallets in the last polling cycle',
+    labelNames: ['mode'], // polled | streamed
+    registers: [register]
+  })
+
+  const apiLatency = new client.Histogram({
+    name: `${prefix}api_request_duration_seconds`,
+    help: 'Latency of single fetchWithRetry attempts',
+    labelNames: ['endpoint', 'outcome'], // outcome: success | error
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register]
+  })
+
+  const apiRetries = new client.Counter({
+    name: `${prefix}api_retries_total`,
+    help: 'Retried fetchWithRetry attempts',
+    labelNames: ['endpoint'],
+    registers: [register]
+  })
+
+  const apiFailures = new client.Counter({
+    name: `${prefix}api_failures_total`,
+    help: 'fetchWithRetry calls that failed after all retries',
+    labelNames: ['endpoint'],
+    registers: [register]
+  })
+
+  const cacheLookups = new client.Counter({
+    name: `${prefix}api_cache_lookups_total`,
+    help: 'fetchWithRetry cache lookups',
+    labelNames: ['result'], // hit | miss
+    registers: [register]
+  })
+
+  let cacheHits = 0
+  let cacheMisses = 0
+  new client.Gauge({
+    name: `${prefix}api_cache_hit_ratio`,
+    help: 'Share of fetchWithRetry calls served from cache since start',
+    registers: [register],
+    collect() { this.set(cacheHits + cacheMisses > 0 ? cacheHits / (cacheHits + cacheMisses) : 0) }
+  })
+
+  const chartRender = new client.Histogram({
+    name: `${prefix}chart_render_duration_seconds`,
+    help: 'Chart render time',
+    labelNames: ['chart', 'outcome'], // chart: event | equity
+    buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+    registers: [register]
+  })
+
+  const telegramSends = new client.Counter({
+    name: `${prefix}telegram_sends_total`,
+    help: 'Telegram send* API calls',
+    labelNames: ['method', 'outcome'],
+    registers: [register]
+  })
+
+  // Значения, которые проще прочитать в момент сбора (очередь, доля попаданий в кеш)
+  function gauge(name, help, collect) {
+    return new client.Gauge({
+      name: `${prefix}${name}`,
+      help,
+      registers: [register],
+      collect() { this.set(collect()) }
+    })
+  }
+
+  // Lighter API: /api/v1/account?... -> account
+  function endpointOf(url) {
+    try {
+      const { pathname } = new URL(url)
+      return pathname.split('/').filter(Boolean).pop() || 'root'
+    } catch {
+      return 'unknown'
+    }
+  }
+
+  async function timed(histogram, labels, task) {
+    const end = histogram.startTimer(labels)
+    try {
+      const result = await task()
+      end({ outcome: 'success' })
+      return result
+    } catch (error) {
+      end({ outcome: 'error' })
+      throw error
+    }
+  }
+
+  return {
+    register,
+    gauge,
+    endpointOf,
+
+    observePoll(seconds, { polled, streamed }) {
+      pollDuration.observe(seconds)
+      pollAddresses.set({ mode: 'polled' }, polled)
+      pollAddresses.set({ mode: 'streamed' }, streamed)
+    },
+
+    cacheLookup(hit) {
+      if (hit) cacheHits++
+      else cacheMisses++
+      cacheLookups.inc({ result: hit ? 'hit' : 'miss' })
+    },
+
+    timeApiRequest: (url, task) => timed(apiLatency, { endpoint: endpointOf(url) }, task),
+    apiRetry: url => apiRetries.inc({ endpoint: endpointOf(url) }),
+    apiFailure: url => apiFailures.inc({ endpoint: endpointOf(url) }),
+
+    timeChartRender: (chart, task) => timed(chartRender, { chart }, task),
+
+    telegramSend(method, ok) {
+      telegramSends.inc({ method, outcome: ok ? 'success' : 'failure' })
+    },
+
+    async render() {
+      return { contentType: register.contentType, body: await register.metrics() }
+    }
+  }
+}
+
+module.exports = { createMetrics }
@@ -0,0 +1,250 @@
+// Учет PnL по лотам для каждого символа.
+// Поддерживает два метода: 'fifo' (закрываем самые старые лоты первыми)
+// и 'average' (один лот со средней ценой входа).
+// Все структуры — простые объекты, чтобы их можно было сохранять в JSON.
+
+const EPSILON = 1e-9
+
+function isZero(value) {
+  return Math.abs(value) < EPSILON
+}
+
+// ledger: { method, books: { symbol: { side: 1 | -1, lots: [{ size, price, openedAt }] } } }
+function createLedger(method = 'fifo') {
+  if (method !== 'fifo' && method !== 'average') {
+    throw new Error(`Unknown PnL method: ${method}`)
+  }
+  return { method, books: {} }
+}
+
+function getBook(ledger, symbol) {
+  if (!ledger.books[symbol]) {
+    ledger.books[symbol] = { side: 0, lots: [] }
+  }
+  return ledger.books[symbol]
+}
+
+// Текущая позиция: size со знаком (+ LONG, - SHORT) и средняя цена входа
+function getPosition(ledger, symbol) {
+  const book = ledger.books[symbol]
+  if (!book || book.lots.length === 0) return { size: 0, avgPrice: 0 }
+  const size = book.lots.reduce((sum, lot) => sum + lot.size, 0)
+  const cost = book.lots.reduce((sum, lot) => sum + lot.size * lot.price, 0)
+  return { size: size * book.side, avgPrice: cost / size }
+}
+
+function addLot(ledger, book, size, price, timestamp) {
+  if (ledger.method === 'average' && book.lots.length > 0) {
+    // Средняя цена: сливаем в один лот, время открытия — самое раннее
+    const lot = book.lots[0]
+    const total = lot.size + size
+    lot.price = (lot.size * lot.price + size * price) / total
+    lot.size = total
+    return
+  }
+  book.lots.push({ size, price, openedAt: timestamp })
+}
+
+// Закрываем до size из лотов книги, возвращаем закрытые лоты с реализованным PnL.
+// tradeId закрывающего fill пишется в каждый лот: по нему summarizeLots считает сделки
+function closeLots(symbol, book, size, price, timestamp, tradeId = null) {
+  const closed = []
+  let remaining = size
+
+  while (remaining > EPSILON && book.lots.length > 0) {
+    const lot = book.lots[0]
+    const qty = Math.min(lot.size, remaining)
+
+    closed.push({
+      symbol,
+      side: book.side === 1 ? 'LONG' : 'SHORT',
+      size: qty,
+      entryPrice: lot.price,
+      exitPrice: price,
+      pnl: qty * (price - lot.price) * book.side,
+      openedAt: lot.openedAt,
+      closedAt: timestamp,
+      tradeId
+    })
+
+    lot.size -= qty
+    remaining -= qty
+    if (isZero(lot.size)) book.lots.shift()
+  }
+
+  return { closed, remaining: isZero(remaining) ? 0 : remaining }
+}
+
+// Стартовая позиция, если кошелек уже был в позиции на момент начала отслеживания
+function seedPosition(ledger, symbol, { size, price, timestamp }) {
+  const book = getBook(ledger, symbol)
+  book.lots = []
+  book.side = Math.sign(size)
+  if (!isZero(size)) addLot(ledger, book, Math.abs(size), price, timestamp)
+}
+
+// Применяем fill { tradeId, symbol, side: 'buy' | 'sell', size, price, timestamp }.
+// Возвращает тип события (open, increase, partial_close, close, flip),
+// закрытые лоты и итоговую позицию. Разворот LONG -> SHORT обрабатывается за один fill
+function applyFill(ledger, fill) {
+  const book = getBook(ledger, fill.symbol)
+  const direction = fill.side === 'buy' ? 1 : -1
+  const hadPosition = book.lots.length > 0
+
+  // Открытие или добавление в ту же сторону
+  if (!hadPosition || book.side === direction) {
+    book.side = direction
+    addLot(ledger, book, fill.size, fill.price, fill.timestamp)
+    return {
+      type: hadPosition ? 'increase' : 'open',
+      closedLots: [],
+      position: getPosition(ledger, fill.symbol)
+    }
+  }
+
+  // Встречный fill: сначала закрываем существующие лоты
+  const { closed, remaining } = closeLots(fill.symbol, book, fill.size, fill.price, fill.timestamp, fill.tradeId ?? null)
+  let type = book.lots.length > 0 ? 'partial_close' : 'close'
+
+  if (book.lots.length === 0) book.side = 0
+
+  // Остаток открывает позицию в обратную сторону
+  if (remaining > 0) {
+    book.side = direction
+    addLot(ledger, book, remaining, fill.price, fill.timestamp)
+    type = 'flip'
+  }
+
+  if (book.lots.length === 0) delete ledger.books[fill.symbol]
+
+  return {
+    type,
+    closedLots: closed,
+    position: getPosition(ledger, fill.symbol)
+  }
+}
+
+// Нереализованный PnL по ценам { symbol: price }
+function getUnrealizedPnL(ledger, prices) {
+  return Object.keys(ledger.books).reduce((sum, symbol) => {
+    const price = prices[symbol]
+    if (!price) return sum
+    const { size, avgPrice } = getPosition(ledger, symbol)
+    return sum + size * (price - avgPrice)
+  }, 0)
+}
+
+// Закрытые лоты -> сделки: одна сделка = один закрывающий fill, сколько бы лотов он ни закрыл.
+// Так число сделок и win rate не зависят от метода (fifo/average).
+// Лоты без tradeId (старые данные) группируем по символу, времени и цене выхода
+function groupClosedTrades(closedLots) {
+  const trades = new Map()
+  closedLots.forEach(lot => {
+    const key = lot.tradeId !== undefined && lot.tradeId !== null
+      ? `${lot.tradeId}:${lot.side}`
+      : `${lot.symbol}:${lot.side}:${lot.closedAt}:${lot.exitPrice}`
+    if (!trades.has(key)) trades.set(key, { pnl: 0, size: 0, heldSize: 0, held: 0 })
+    const trade = trades.get(key)
+    trade.pnl += lot.pnl
+    trade.size += lot.size
+    // время удержания — среднее по лотам, взвешенное по размеру
+    if (lot.openedAt && lot.closedAt >= lot.openedAt) {
+      trade.held += lot.size * (lot.closedAt - lot.openedAt)
+      trade.heldSize += lot.size
+    }
+  })
+  return [...trades.values()]
+}
+
+// Статистика по закрытым сделкам (см. groupClosedTrades)
+function summarizeLots(closedLots) {
+  const trades = groupClosedTrades(closedLots)
+  const wins = trades.filter(trade => trade.pnl > 0)
+  const losses = trades.filter(trade => trade.pnl < 0)
+  const grossProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0)
+  const grossLoss = losses.reduce((sum, trade) => sum + trade.pnl, 0)
+  const realizedPnL = trades.reduce((sum, trade) => sum + trade.pnl, 0)
+
+  const holdTimes = trades
+    .filter(trade => trade.heldSize > 0)
+    .map(trade => trade.held / trade.heldSize / (1000 * 60 * 60))
+
+  let profitFactor = null
+  if (losses.length > 0) profitFactor = grossProfit / Math.abs(grossLoss)
+  else if (wins.length > 0) profitFactor = Infinity
+
+  return {
+    totalTrades: trades.length,
+    winningTrades: wins.length,
+    losingTrades: losses.length,
+    winRate: trades.length > 0 ? wins.length / trades.length * 100 : 0,
+    grossProfit,
+    grossLoss,
+    realizedPnL,
+    avgWin: wins.length > 0 ? grossProfit / wins.length : 0,
+    avgLoss: losses.length > 0 ? grossLoss / losses.length : 0,
+    profitFactor,
+    expectancy: trades.length > 0 ? realizedPnL / trades.length : null,
+    avgHoldTime: holdTimes.length > 0 ? holdTimes.reduce((sum, h) => sum + h, 0) / holdTimes.length : 0 // в часах
+  }
+}
+
+// Периоды просадки по ряду значений [{ time, value }]: от пика до возврата к нему.
+// Периоды мельче minDepth (в процентах) не возвращаем.
+// Результат: { maxDrawdown (в %), periods: [{ start, end, depth }] }, end = null — просадка еще идет
+function findDrawdowns(points, minDepth = 0) {
+  const periods = []
+  let maxDrawdown = 0
+  let peak = null
+  let current = null
+
+  points.forEach(({ time, value }) => {
+    if (peak === null || value >= peak) {
+      if (current && current.depth >= minDepth) periods.push({ ...current, end: time })
+      current = null
+      peak = value
+      return
+    }
+    if (peak <= 0) return
+
+    const depth = (peak - value) / peak * 100
+    if (!current) current = { start: time, end: null, depth: 0 }
+    current.depth = Math.max(current.depth, depth)
+    maxDrawdown = Math.max(maxDrawdown, depth)
+  })
+
+  if (current && current.depth >= minDepth) periods.push(current)
+  return { maxDrawdown, periods }
+}
+
+// Сумма нескольких рядов [{ time, value }] (например, балансов кошельков группы).
+// В каждый момент берем последнее известное значение ряда; ряд участвует с первой своей точки
+function sumSeries(seriesList) {
+  const events = seriesList
+    .flatMap((series, index) => series.map(point => ({ ...point, index })))
+    .sort((a, b) => a.time - b.time)
+  const last = new Map()
+  const result = []
+
+  events.forEach(({ time, value, index }) => {
+    last.set(index, value)
+    const total = [...last.values()].reduce((sum, v) => sum + v, 0)
+    // несколько точек в один момент — оставляем итоговую
+    if (result.length > 0 && result[result.length - 1].time === time) result[result.length - 1].value = total
+    else result.push({ time, value: total })
+  })
+
+  return result
+}
+
+module.exports = {
+  createLedger,
+  seedPosition,
+  applyFill,
+  closeLots,
+  getPosition,
+  getUnrealizedPnL,
+  summarizeLots,
+  findDrawdowns,
+  sumSeries
+}
@@ -0,0 +1,425 @@
+const fs = require('fs')
+const Database = require('better-sqlite3')
+
+// Хранилище бота в SQLite. Схема версионируется через PRAGMA user_version:
+// каждая миграция выполняется один раз в транзакции.
+const MIGRATIONS = [
+  // 1: базовая схема, повторяющая прежние JSON-файлы
+  `
+  CREATE TABLE meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  CREATE TABLE watchlist (
+    user_id TEXT NOT NULL,
+    address TEXT NOT NULL,
+    label TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (user_id, address)
+  );
+  CREATE TABLE wallet_states (
+    address TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE TABLE wallet_pnl (
+    address TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE TABLE rate_limits (
+    user_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE whitelist (
+    user_id INTEGER PRIMARY KEY
+  );
+  CREATE TABLE filters (
+    user_id TEXT NOT NULL,
+    address TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (user_id, address)
+  );
+  CREATE TABLE mutes (
+    user_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  `,
+  // 2: исходящие вебхуки и журнал доставок
+  `
+  CREATE TABLE webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX webhooks_user ON webhooks (user_id);
+  CREATE TABLE webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    webhook_id INTEGER NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+    event_type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    error TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX webhook_deliveries_hook ON webhook_deliveries (webhook_id, created_at);
+  `,
+  // 3: активность пользователей и журнал действий админов
+  `
+  CREATE TABLE user_activity (
+    user_id TEXT PRIMARY KEY,
+    username TEXT,
+    last_command TEXT,
+    last_seen INTEGER NOT NULL
+  );
+  CREATE TABLE admin_audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    admin_id TEXT NOT NULL,
+    action TEXT NOT NULL,
+    details TEXT,
+    created_at INTEGER NOT NULL
+  );
+  `,
+  // 4: группы кошельков пользователя
+  `
+  CREATE TABLE wallet_groups (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL COLLATE NOCASE,
+    created_at INTEGER NOT NULL,
+    UNIQUE (user_id, name)
+  );
+  CREATE TABLE wallet_group_members (
+    group_id INTEGER NOT NULL REFERENCES wallet_groups (id) ON DELETE CASCADE,
+    address TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (group_id, address)
+  );
+  `
+]
+
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file))
+  } catch {
+    return null
+  }
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+function openStorage(dbPath) {
+  const db = new Database(dbPath)
+  db.pragma('journal_mode = WAL')
+  db.pragma('foreign_keys = ON')
+
+  function migrate() {
+    const version = db.pragma('user_version', { simple: true })
+    MIGRATIONS.slice(version).forEach((sql, index) => {
+      db.transaction(() => {
+        db.exec(sql)
+        db.pragma(`user_version = ${version + index + 1}`)
+      })()
+      console.log(`🗄️ Applied storage migration ${version + index + 1}`)
+    })
+  }
+
+  migrate()
+
+  const getMeta = key => db.prepare('SELECT value FROM meta WHERE key = ?').get(key)?.value ?? null
+  const setMeta = (key, value) => db.prepare(
+    'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'
+  ).run(key, value)
+
+  // Таблицы вида key -> JSON, которые бот держит в памяти целиком (состояния, PnL, лимиты).
+  // Лимиты сохраняются снимком с удалением пропавших ключей, состояния и PnL — построчно
+  function loadJsonTable(table, keyColumn) {
+    const result = {}
+    db.prepare(`SELECT ${keyColumn} AS key, data FROM ${table}`).all().forEach(row => {
+      result[row.key] = JSON.parse(row.data)
+    })
+    return result
+  }
+
+  function saveJsonTable(table, keyColumn, data) {
+    const upsert = db.prepare(
+      `INSERT INTO ${table} (${keyColumn}, data) VALUES (?, ?) ON CONFLICT(${keyColumn}) DO UPDATE SET data = excluded.data`
+    )
+    const existing = db.prepare(`SELECT ${keyColumn} AS key FROM ${table}`)
+    const remove = db.prepare(`DELETE FROM ${table} WHERE ${keyColumn} = ?`)
+
+    db.transaction(() => {
+      Object.entries(data).forEach(([key, value]) => upsert.run(key, JSON.stringify(value)))
+      existing.all().forEach(row => {
+        if (!(row.key in data)) remove.run(row.key)
+      })
+    })()
+  }
+
+  function saveJsonRow(table, keyColumn, key, value) {
+    db.prepare(`
+      INSERT INTO ${table} (${keyColumn}, data, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(${keyColumn}) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `).run(key, JSON.stringify(value), Date.now())
+  }
+
+  function removeJsonRow(table, keyColumn, key) {
+    return db.prepare(`DELETE FROM ${table} WHERE ${keyColumn} = ?`).run(key).changes > 0
+  }
+
+  const storage = {
+    db,
+
+    // userId -> { address -> label }, порядок добавления сохраняется
+    loadWatchlist() {
+      const result = {}
+      db.prepare('SELECT user_id, address, label FROM watchlist ORDER BY user_id, position').all().forEach(row => {
+        if (!result[row.user_id]) result[row.user_id] = {}
+        result[row.user_id][row.address] = row.label
+      })
+      return result
+    },
+
+    // Добавляет кошелек в конец списка пользователя; false, если он уже есть
+    addWallet(userId, address, label) {
+      return db.prepare(`
+        INSERT OR IGNORE INTO watchlist (user_id, address, label, position)
+        SELECT ?, ?, ?, COALESCE(MAX(position), -1) + 1 FROM watchlist WHERE user_id = ?
+      `).run(String(userId), address, label ?? null, String(userId)).changes > 0
+    },
+
+    removeWallet(userId, address) {
+      return db.prepare('DELETE FROM watchlist WHERE user_id = ? AND address = ?').run(String(userId), address).changes > 0
+    },
+
+    loadStates: () => loadJsonTable('wallet_states', 'address'),
+    saveState: (address, state) => saveJsonRow('wallet_states', 'address', address, state),
+    removeState: address => removeJsonRow('wallet_states', 'address', address),
+
+    loadWalletPnL: () => loadJsonTable('wallet_pnl', 'address'),
+    saveWalletPnL: (address, data) => saveJsonRow('wallet_pnl', 'address', address, data),
+    removeWalletPnL: address => removeJsonRow('wallet_pnl', 'address', address),
+
+    loadRateLimits: () => loadJsonTable('rate_limits', 'user_id'),
+    saveRateLimits: limits => saveJsonTable('rate_limits', 'user_id', limits),
+
+    loadMutes: () => loadJsonTable('mutes', 'user_id'),
+
+    // Муты одного пользователя: update получает текущие данные (или null) и возвращает новые,
+    // чтение и запись идут в одной транзакции
+    updateMutes: db.transaction((userId, update) => {
+      const row = db.prepare('SELECT data FROM mutes WHERE user_id = ?').get(String(userId))
+      const data = update(row ? JSON.parse(row.data) : null)
+      db.prepare('INSERT INTO mutes (user_id, data) VALUES (?, ?) ON CONFLICT(user_id) DO UPDATE SET data = excluded.data')
+        .run(String(userId), JSON.stringify(data))
+      return data
+    }),
+
+    // userId -> { address -> filter }
+    loadFilters() {
+      const result = {}
+      db.prepare('SELECT user_id, address, data FROM filters').all().forEach(row => {
+        if (!result[row.user_id]) result[row.user_id] = {}
+        result[row.user_id][row.address] = JSON.parse(row.data)
+      })
+      return result
+    },
+
+    setFilter(userId, address, filter) {
+      db.prepare('INSERT INTO filters (user_id, address, data) VALUES (?, ?, ?) ON CONFLICT(user_id, address) DO UPDATE SET data = excluded.data')
+        .run(String(userId), address, JSON.stringify(filter))
+    },
+
+    removeFilter(userId, address) {
+      return db.prepare('DELETE FROM filters WHERE user_id = ? AND address = ?').run(String(userId), address).changes > 0
+    },
+
+    loadWhitelist() {
+      return db.prepare('SELECT user_id FROM whitelist ORDER BY user_id').all().map(row => row.user_id)
+    },
+
+    addToWhitelist: db.transaction(userIds => {
+      const insert = db.prepare('INSERT OR IGNORE INTO whitelist (user_id) VALUES (?)')
+      userIds.forEach(userId => insert.run(userId))
+    }),
+
+    removeFromWhitelist(userId) {
+      return db.prepare('DELETE FROM whitelist WHERE user_id = ?').run(userId).changes > 0
+    },
+
+    // Вебхуки: { id, userId, url, secret, createdAt }
+    listWebhooks(userId) {
+      const rows = userId === undefined
+        ? db.prepare('SELECT * FROM webhooks ORDER BY id').all()
+        : db.prepare('SELECT * FROM webhooks WHERE user_id = ? ORDER BY id').all(String(userId))
+      return rows.map(row => ({ id: row.id, userId: row.user_id, url: row.url, secret: row.secret, createdAt: row.created_at }))
+    },
+
+    addWebhook(userId, url, secret) {
+      return db.prepare('INSERT INTO webhooks (user_id, url, secret, created_at) VALUES (?, ?, ?, ?)')
+        .run(String(userId), url, secret, Date.now()).lastInsertRowid
+    },
+
+    removeWebhook(userId, id) {
+      return db.prepare('DELETE FROM webhooks WHERE id = ? AND user_id = ?').run(id, String(userId)).changes > 0
+    },
+
+    // delivery: { id, webhookId, eventType, status, attempts, responseStatus, error, createdAt }
+    saveDelivery(delivery) {
+      db.prepare(`
+        INSERT INTO webhook_deliveries (id, webhook_id, event_type, status, attempts, response_status, error, created_at, updated_at)
+        VALUES (@id, @webhookId, @eventType, @status, @attempts, @responseStatus, @error, @createdAt, @updatedAt)
+        ON CONFLICT(id) DO UPDATE SET status = excluded.status, attempts = excluded.attempts,
+          response_status = excluded.response_status, error = excluded.error, updated_at = excluded.updated_at
+      `).run({ responseStatus: null, error: null, ...delivery, updatedAt: Date.now() })
+    },
+
+    listDeliveries(userId, limit = 10) {
+      return db.prepare(`
+        SELECT d.* FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+        WHERE w.user_id = ? ORDER BY d.created_at DESC LIMIT ?
+      `).all(String(userId), limit).map(row => ({
+        id: row.id,
+        webhookId: row.webhook_id,
+        eventType: row.event_type,
+        status: row.status,
+        attempts: row.attempts,
+        responseStatus: row.response_status,
+        error: row.error,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      }))
+    },
+
+    // журнал не растет бесконечно
+    pruneDeliveries(olderThan) {
+      return db.prepare('DELETE FROM webhook_deliveries WHERE created_at < ?').run(olderThan).changes
+    },
+
+    // Последняя активность пользователя: { userId, username, lastCommand, lastSeen }
+    touchUser(userId, username, command) {
+      db.prepare(`
+        INSERT INTO user_activity (user_id, username, last_command, last_seen) VALUES (?, ?, ?, ?)
+        ON CONFLICT(user_id) DO UPDATE SET username = excluded.username,
+          last_command = COALESCE(excluded.last_command, last_command), last_seen = excluded.last_seen
+      `).run(String(userId), username ?? null, command ?? null, Date.now())
+    },
+
+    loadUserActivity() {
+      const result = {}
+      db.prepare('SELECT * FROM user_activity').all().forEach(row => {
+        result[row.user_id] = { userId: row.user_id, username: row.username, lastCommand: row.last_command, lastSeen: row.last_seen }
+      })
+      return result
+    },
+
+    addAuditEntry(adminId, action, details) {
+      db.prepare('INSERT INTO admin_audit (admin_id, action, details, created_at) VALUES (?, ?, ?, ?)')
+        .run(String(adminId), action, details === undefined ? null : JSON.stringify(details), Date.now())
+    },
+
+    listAuditEntries(limit = 20) {
+      return db.prepare('SELECT * FROM admin_audit ORDER BY id DESC LIMIT ?').all(limit).map(row => ({
+        id: row.id,
+        adminId: row.admin_id,
+        action: row.action,
+        details: row.details === null ? null : JSON.parse(row.details),
+        createdAt: row.created_at
+      }))
+    },
+
+    // Группы пользователя: [{ id, name, addresses }], участники в порядке добавления
+    listGroups(userId) {
+      const groups = db.prepare('SELECT id, name FROM wallet_groups WHERE user_id = ? ORDER BY id').all(String(userId))
+      const members = db.prepare('SELECT address FROM wallet_group_members WHERE group_id = ? ORDER BY position, rowid')
+      return groups.map(group => ({ ...group, addresses: members.all(group.id).map(row => row.address) }))
+    },
+
+    createGroup(userId, name) {
+      return db.prepare('INSERT INTO wallet_groups (user_id, name, created_at) VALUES (?, ?, ?)')
+        .run(String(userId), name, Date.now()).lastInsertRowid
+    },
+
+    deleteGroup(userId, id) {
+      return db.prepare('DELETE FROM wallet_groups WHERE id = ? AND user_id = ?').run(id, String(userId)).changes > 0
+    },
+
+    // Возвращает адреса, которых в группе еще не было
+    addGroupMembers: db.transaction((groupId, addresses) => {
+      const next = db.prepare('SELECT COALESCE(MAX(position), -1) + 1 AS position FROM wallet_group_members WHERE group_id = ?')
+      const insert = db.prepare('INSERT OR IGNORE INTO wallet_group_members (group_id, address, position) VALUES (?, ?, ?)')
+      return addresses.filter(address => insert.run(groupId, address, next.get(groupId).position).changes > 0)
+    }),
+
+    removeGroupMembers: db.transaction((groupId, addresses) => {
+      const remove = db.prepare('DELETE FROM wallet_group_members WHERE group_id = ? AND address = ?')
+      return addresses.filter(address => remove.run(groupId, address).changes > 0)
+    }),
+
+    // Кошелек удален из watchlist — убираем его из всех групп пользователя
+    removeFromGroups(userId, address) {
+      return db.prepare(`
+        DELETE FROM wallet_group_members
+        WHERE address = ? AND group_id IN (SELECT id FROM wallet_groups WHERE user_id = ?)
+      `).run(address, String(userId)).changes
+    },
+
+    // Разовый перенос данных из старых JSON-файлов.
+    // files: { state, watchlist, pnl, rateLimits, whitelist, filters, mutes } -> путь к файлу
+    importJsonFiles(files) {
+      if (getMeta('json_imported_at')) return false
+
+      db.transaction(() => {
+        const watchlist = readJsonFile(files.watchlist)
+        if (isObject(watchlist)) {
+          // в старом watchlist.json встречаются записи вида { "0xAddress": "Label" } без userId
+          Object.entries(watchlist).filter(([, value]) => isObject(value)).forEach(([userId, addresses]) => {
+            Object.entries(addresses).forEach(([address, label]) => storage.addWallet(userId, address, label))
+          })
+        }
+
+        const state = readJsonFile(files.state)
+        if (isObject(state)) Object.entries(state).forEach(([address, data]) => storage.saveState(address, data))
+
+        const pnlData = readJsonFile(files.pnl)
+        if (isObject(pnlData)) Object.entries(pnlData).forEach(([address, data]) => storage.saveWalletPnL(address, data))
+
+        const rateLimits = readJsonFile(files.rateLimits)
+        if (isObject(rateLimits)) storage.saveRateLimits(rateLimits)
+
+        const whitelist = readJsonFile(files.whitelist)
+        if (Array.isArray(whitelist)) storage.addToWhitelist(whitelist.filter(Number.isInteger))
+
+        const filters = readJsonFile(files.filters)
+        if (isObject(filters)) {
+          Object.entries(filters).forEach(([userId, wallets]) => {
+            Object.entries(wallets || {}).forEach(([address, filter]) => storage.setFilter(userId, address, filter))
+          })
+        }
+
+        const mutes = readJsonFile(files.mutes)
+        if (isObject(mutes)) {
+          Object.entries(mutes).forEach(([userId, data]) => storage.updateMutes(userId, () => data))
+        }
+
+        setMeta('json_imported_at', String(Date.now()))
+      })()
+
+      return true
+    },
+
+    close() {
+      db.close()
+    }
+  }
+
+  return storage
+}
+
+module.exports = { openStorage }
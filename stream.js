@@ -0,0 +1,164 @@
+const WebSocket = require('ws')
+
+// Подписка на обновления аккаунтов Lighter через WebSocket.
+// Держит набор подписок, переподписывается после реконнекта
+// и сообщает о состоянии соединения, чтобы бот мог откатиться на поллинг.
+function createAccountStream({
+  url,
+  onUpdate,
+  onStatus = () => {},
+  reconnectDelay = 1000,
+  maxReconnectDelay = 30000,
+  idleTimeout = 60000
+}) {
+  const subscriptions = new Set() // account_index
+  // Подписки, по которым сервер уже ответил (ack или первое сообщение аккаунта) в текущем соединении.
+  // Пока ответа нет, кошелек продолжаем опрашивать
+  const confirmed = new Set()
+  let socket = null
+  let connected = false
+  let stopped = true
+  let attempts = 0
+  let reconnectTimer = null
+  let idleTimer = null
+
+  function send(payload) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(payload))
+    }
+  }
+
+  function subscribe(accountIndex) {
+    send({ type: 'subscribe', channel: `account_all/${accountIndex}` })
+  }
+
+  function unsubscribe(accountIndex) {
+    confirmed.delete(accountIndex)
+    send({ type: 'unsubscribe', channel: `account_all/${accountIndex}` })
+  }
+
+  function setConnected(value) {
+    if (connected === value) return
+    connected = value
+    onStatus(value)
+  }
+
+  // Если сервер долго молчит — считаем соединение мертвым и переподключаемся
+  function resetIdleTimer() {
+    clearTimeout(idleTimer)
+    idleTimer = setTimeout(() => {
+      console.error('⚠️ Lighter stream idle, reconnecting')
+      if (socket) socket.terminate()
+    }, idleTimeout)
+  }
+
+  function scheduleReconnect() {
+    if (stopped) return
+    const delay = Math.min(reconnectDelay * 2 ** attempts, maxReconnectDelay)
+    attempts++
+    clearTimeout(reconnectTimer)
+    reconnectTimer = setTimeout(connect, delay)
+  }
+
+  function handleMessage(raw) {
+    let msg
+    try {
+      msg = JSON.parse(raw)
+    } catch {
+      return
+    }
+
+    if (msg.type === 'ping') {
+      send({ type: 'pong' })
+      return
+    }
+
+    // Lighter присылает канал в виде "account_all:123"
+    if (typeof msg.type === 'string' && msg.type.endsWith('/account_all')) {
+      const accountIndex = Number(String(msg.channel || '').split(/[:/]/).pop())
+      if (!Number.isFinite(accountIndex) || !subscriptions.has(accountIndex)) return
+      confirmed.add(accountIndex)
+      try {
+        onUpdate(accountIndex, msg)
+      } catch (error) {
+        console.error('Stream update handler error:', error)
+      }
+    }
+  }
+
+  function connect() {
+    if (stopped) return
+    socket = new WebSocket(url)
+
+    socket.on('open', () => {
+      attempts = 0
+      confirmed.clear()
+      setConnected(true)
+      resetIdleTimer()
+      // после реконнекта сервер ничего не помнит — подписываемся заново
+      subscriptions.forEach(subscribe)
+    })
+
+    socket.on('message', data => {
+      resetIdleTimer()
+      handleMessage(data.toString())
+    })
+
+    socket.on('ping', resetIdleTimer)
+
+    socket.on('close', () => {
+      clearTimeout(idleTimer)
+      socket = null
+      confirmed.clear()
+      setConnected(false)
+      scheduleReconnect()
+    })
+
+    socket.on('error', error => {
+      console.error('⚠️ Lighter stream error:', error.message)
+    })
+  }
+
+  return {
+    start() {
+      if (!stopped) return
+      stopped = false
+      connect()
+    },
+
+    stop() {
+      stopped = true
+      clearTimeout(reconnectTimer)
+      clearTimeout(idleTimer)
+      if (socket) socket.close()
+      setConnected(false)
+    },
+
+    // Приводим подписки к переданному набору account_index
+    sync(accountIndexes) {
+      const wanted = new Set(accountIndexes)
+      subscriptions.forEach(index => {
+        if (!wanted.has(index)) {
+          subscriptions.delete(index)
+          unsubscribe(index)
+        }
+      })
+      wanted.forEach(index => {
+        if (!subscriptions.has(index)) {
+          subscriptions.add(index)
+          subscribe(index)
+        }
+      })
+    },
+
+    isConnected() {
+      return connected
+    },
+
+    isSubscribed(accountIndex) {
+      return connected && confirmed.has(accountIndex)
+    }
+  }
+}
+
+module.exports = { createAccountStream }
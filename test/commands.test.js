@@ -0,0 +1,80 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { parseArgs, resolveWallet, formatUsage, editDistance } = require('../commands')
+
+const MAIN = '0x52908400098527886E0F7030069857D2E4169EE7'
+const ALT = '0x8617E340B3D01FA5F11F306F4090FD50E238070D'
+const SPARE = '0xde709f2102306220921060314715629080e2fb77'
+
+const userList = {
+  [MAIN]: 'Main wallet',
+  [ALT]: 'Main backup',
+  [SPARE]: 'Degen'
+}
+
+test('parseArgs splits command, bot mention and plain words', () => {
+  assert.deepEqual(parseArgs('/PnL@lighter_bot main 7d'), { command: 'pnl', args: ['main', '7d'] })
+  assert.deepEqual(parseArgs('just words'), { command: null, args: ['just', 'words'] })
+  assert.deepEqual(parseArgs(''), { command: null, args: [] })
+})
+
+test('parseArgs keeps quoted arguments together', () => {
+  assert.deepEqual(parseArgs('/pnl "My wallet" 7d').args, ['My wallet', '7d'])
+  assert.deepEqual(parseArgs("/pnl 'My wallet' 7d").args, ['My wallet', '7d'])
+  assert.deepEqual(parseArgs('/add 0xabc ""').args, ['0xabc', ''])
+})
+
+test('parseArgs understands typographic quotes from mobile clients', () => {
+  assert.deepEqual(parseArgs('/pnl “My wallet” 7d').args, ['My wallet', '7d'])
+  assert.deepEqual(parseArgs('/pnl «Мой кошелек» 30d').args, ['Мой кошелек', '30d'])
+})
+
+test('resolveWallet matches a lowercase address to the checksummed entry', () => {
+  // /delete ищет только точные совпадения
+  const { wallet } = resolveWallet(userList, MAIN.toLowerCase(), { prefix: false })
+  assert.deepEqual(wallet, { address: MAIN, label: 'Main wallet' })
+})
+
+test('resolveWallet matches labels exactly, then ignoring case', () => {
+  assert.equal(resolveWallet(userList, 'Degen').wallet.address, SPARE)
+  assert.equal(resolveWallet(userList, 'main WALLET', { prefix: false }).wallet.address, MAIN)
+})
+
+test('resolveWallet without prefix matching does not guess', () => {
+  assert.deepEqual(resolveWallet(userList, 'Deg', { prefix: false }), { suggestions: [] })
+  assert.deepEqual(resolveWallet(userList, MAIN.slice(0, 8), { prefix: false }), { suggestions: [] })
+})
+
+test('resolveWallet resolves unique prefixes of labels and addresses', () => {
+  assert.equal(resolveWallet(userList, 'deg').wallet.address, SPARE)
+  assert.equal(resolveWallet(userList, '8617e3').wallet.address, ALT)
+  assert.equal(resolveWallet(userList, '0x5290').wallet.address, MAIN)
+})
+
+test('resolveWallet reports ambiguous label prefixes', () => {
+  const { ambiguous } = resolveWallet(userList, 'main')
+  assert.deepEqual(ambiguous.map(wallet => wallet.address), [MAIN, ALT])
+  // короче minPrefix префикс не ищем
+  assert.deepEqual(resolveWallet(userList, 'ma').suggestions, [])
+})
+
+test('resolveWallet suggests close labels for typos', () => {
+  assert.deepEqual(resolveWallet(userList, 'Dgeen').suggestions, [{ address: SPARE, label: 'Degen' }])
+  assert.deepEqual(resolveWallet(userList, 'Mian wallet').suggestions.map(wallet => wallet.address), [MAIN])
+  assert.deepEqual(resolveWallet(userList, 'nothing like it').suggestions, [])
+})
+
+test('editDistance counts a transposition as one edit', () => {
+  assert.equal(editDistance('degen', 'degen'), 0)
+  assert.equal(editDistance('degen', 'dgeen'), 1)
+  assert.equal(editDistance('main', 'mian'), 1)
+  assert.equal(editDistance('', 'abc'), 3)
+})
+
+test('formatUsage renders args, description and examples', () => {
+  assert.equal(formatUsage('list'), 'Usage: /list')
+  assert.equal(
+    formatUsage('trades', { args: '<address|label> [count]', description: 'Up to 20 trades.', examples: ['main 5'] }),
+    'Usage: /trades <address|label> [count]\nUp to 20 trades.\n\nExamples:\n/trades main 5'
+  )
+})
@@ -0,0 +1,153 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const pnl = require('../pnl')
+
+// Прогоняем сценарий fills через новый ledger, возвращаем ledger и все закрытые лоты
+function run(method, fills) {
+  const ledger = pnl.createLedger(method)
+  const results = fills.map((fill, index) => pnl.applyFill(ledger, {
+    tradeId: index + 1,
+    symbol: 'BTC',
+    timestamp: (index + 1) * 3600000,
+    ...fill
+  }))
+  return { ledger, results, closedLots: results.flatMap(result => result.closedLots) }
+}
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`)
+
+test('createLedger rejects unknown methods', () => {
+  assert.throws(() => pnl.createLedger('lifo'), /Unknown PnL method/)
+})
+
+test('fifo closes the oldest lots first', () => {
+  const { ledger, results, closedLots } = run('fifo', [
+    { side: 'buy', size: 1, price: 100 },
+    { side: 'buy', size: 1, price: 200 },
+    { side: 'sell', size: 1.5, price: 300 }
+  ])
+
+  assert.deepEqual(results.map(r => r.type), ['open', 'increase', 'partial_close'])
+  assert.equal(closedLots.length, 2)
+  near(closedLots[0].pnl, 200) // 1 @ 100 -> 300
+  near(closedLots[1].pnl, 50) // 0.5 @ 200 -> 300
+  assert.deepEqual(pnl.getPosition(ledger, 'BTC'), { size: 0.5, avgPrice: 200 })
+})
+
+test('average cost merges lots into one entry price', () => {
+  const { ledger, closedLots } = run('average', [
+    { side: 'buy', size: 1, price: 100 },
+    { side: 'buy', size: 1, price: 200 },
+    { side: 'sell', size: 1.5, price: 300 }
+  ])
+
+  assert.equal(closedLots.length, 1)
+  near(closedLots[0].entryPrice, 150)
+  near(closedLots[0].pnl, 225)
+  const position = pnl.getPosition(ledger, 'BTC')
+  near(position.size, 0.5)
+  near(position.avgPrice, 150)
+})
+
+test('fifo and average agree on total PnL once the position is flat', () => {
+  const fills = [
+    { side: 'buy', size: 2, price: 100 },
+    { side: 'sell', size: 1, price: 120 },
+    { side: 'buy', size: 1, price: 90 },
+    { side: 'sell', size: 2, price: 110 }
+  ]
+  const fifo = pnl.summarizeLots(run('fifo', fills).closedLots)
+  const average = pnl.summarizeLots(run('average', fills).closedLots)
+  near(fifo.realizedPnL, average.realizedPnL)
+  near(fifo.realizedPnL, 50)
+})
+
+test('partial closes keep the side until the last lot is closed', () => {
+  const { ledger, results } = run('fifo', [
+    { side: 'sell', size: 3, price: 50 },
+    { side: 'buy', size: 1, price: 40 },
+    { side: 'buy', size: 2, price: 60 }
+  ])
+
+  assert.deepEqual(results.map(r => r.type), ['open', 'partial_close', 'close'])
+  near(results[1].closedLots[0].pnl, 10) // SHORT 1 @ 50 -> 40
+  near(results[2].closedLots[0].pnl, -20) // SHORT 2 @ 50 -> 60
+  assert.equal(results[1].position.size, -2)
+  assert.deepEqual(pnl.getPosition(ledger, 'BTC'), { size: 0, avgPrice: 0 })
+})
+
+test('a fill through zero closes the position and opens the other side', () => {
+  const { ledger, results } = run('fifo', [
+    { side: 'buy', size: 1, price: 100 },
+    { side: 'sell', size: 3, price: 110 }
+  ])
+
+  assert.equal(results[1].type, 'flip')
+  assert.equal(results[1].closedLots.length, 1)
+  near(results[1].closedLots[0].pnl, 10)
+  assert.equal(results[1].closedLots[0].side, 'LONG')
+  assert.deepEqual(pnl.getPosition(ledger, 'BTC'), { size: -2, avgPrice: 110 })
+})
+
+test('seedPosition starts tracking from an existing position', () => {
+  const ledger = pnl.createLedger('fifo')
+  pnl.seedPosition(ledger, 'ETH', { size: -2, price: 3000, timestamp: 0 })
+  assert.deepEqual(pnl.getPosition(ledger, 'ETH'), { size: -2, avgPrice: 3000 })
+
+  const result = pnl.applyFill(ledger, { tradeId: 1, symbol: 'ETH', side: 'buy', size: 2, price: 2900, timestamp: 1 })
+  assert.equal(result.type, 'close')
+  near(result.closedLots[0].pnl, 200)
+
+  // повторный seed заменяет книгу, а не добавляет к ней
+  pnl.seedPosition(ledger, 'ETH', { size: 1, price: 2500, timestamp: 2 })
+  pnl.seedPosition(ledger, 'ETH', { size: 0, price: 0, timestamp: 3 })
+  assert.deepEqual(pnl.getPosition(ledger, 'ETH'), { size: 0, avgPrice: 0 })
+})
+
+test('closeLots stops when the book runs out and returns the remainder', () => {
+  const book = { side: 1, lots: [{ size: 1, price: 10, openedAt: 0 }, { size: 1, price: 20, openedAt: 0 }] }
+  const { closed, remaining } = pnl.closeLots('SOL', book, 3, 30, 5, 42)
+
+  assert.equal(closed.length, 2)
+  near(remaining, 1)
+  assert.equal(book.lots.length, 0)
+  assert.ok(closed.every(lot => lot.tradeId === 42 && lot.closedAt === 5))
+})
+
+test('summarizeLots counts one trade per closing fill, whatever the method', () => {
+  const fills = [
+    { side: 'buy', size: 1, price: 100 },
+    { side: 'buy', size: 1, price: 200 },
+    { side: 'sell', size: 2, price: 180 }, // fifo: +80 и -20 по двум лотам, average: +60 одним — одна сделка
+    { side: 'sell', size: 1, price: 100 },
+    { side: 'buy', size: 1, price: 120 } // -20
+  ]
+
+  const fifo = pnl.summarizeLots(run('fifo', fills).closedLots)
+  const average = pnl.summarizeLots(run('average', fills).closedLots)
+
+  for (const summary of [fifo, average]) {
+    assert.equal(summary.totalTrades, 2)
+    assert.equal(summary.winningTrades, 1)
+    assert.equal(summary.losingTrades, 1)
+    assert.equal(summary.winRate, 50)
+  }
+  near(fifo.realizedPnL, 40)
+  near(fifo.profitFactor, 3)
+})
+
+test('summarizeLots groups legacy lots without tradeId by exit', () => {
+  const lot = { symbol: 'BTC', side: 'LONG', size: 1, entryPrice: 1, exitPrice: 2, pnl: 1, openedAt: 0, closedAt: 3600000 }
+  const summary = pnl.summarizeLots([lot, { ...lot, entryPrice: 0, pnl: 2 }, { ...lot, closedAt: 7200000, pnl: -1 }])
+
+  assert.equal(summary.totalTrades, 2)
+  near(summary.realizedPnL, 2)
+  assert.equal(summary.profitFactor, 3)
+})
+
+test('summarizeLots without trades', () => {
+  const summary = pnl.summarizeLots([])
+  assert.equal(summary.totalTrades, 0)
+  assert.equal(summary.profitFactor, null)
+  assert.equal(summary.expectancy, null)
+})
@@ -0,0 +1,136 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { WebSocketServer } = require('ws')
+const { createAccountStream } = require('../stream')
+
+// Локальный сервер Lighter: отдает соединения по очереди, кадры клиента копятся по соединению
+async function startServer() {
+  const server = new WebSocketServer({ port: 0, host: '127.0.0.1' })
+  await new Promise(resolve => server.on('listening', resolve))
+  const connections = []
+  server.on('connection', socket => {
+    socket.frames = []
+    socket.on('message', data => socket.frames.push(JSON.parse(data.toString())))
+    connections.push(socket)
+  })
+  return {
+    connections,
+    url: `ws://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => {
+      server.clients.forEach(client => client.terminate())
+      server.close(resolve)
+    })
+  }
+}
+
+async function waitFor(check, timeout = 3000) {
+  const started = Date.now()
+  while (!check()) {
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for stream')
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+}
+
+function accountMessage(accountIndex, type = 'update/account_all') {
+  return JSON.stringify({ type, channel: `account_all:${accountIndex}`, positions: {} })
+}
+
+async function withStream(options, run) {
+  const server = await startServer()
+  const updates = []
+  const statuses = []
+  const stream = createAccountStream({
+    url: server.url,
+    onUpdate: (accountIndex, msg) => updates.push({ accountIndex, msg }),
+    onStatus: connected => statuses.push(connected),
+    reconnectDelay: 10,
+    ...options
+  })
+  try {
+    await run({ server, stream, updates, statuses })
+  } finally {
+    stream.stop()
+    await server.close()
+  }
+}
+
+test('subscribes to synced accounts and unsubscribes removed ones', async () => {
+  await withStream({}, async ({ server, stream }) => {
+    stream.sync([1, 2])
+    stream.start()
+    await waitFor(() => server.connections[0]?.frames.length === 2)
+    assert.deepEqual(server.connections[0].frames, [
+      { type: 'subscribe', channel: 'account_all/1' },
+      { type: 'subscribe', channel: 'account_all/2' }
+    ])
+
+    stream.sync([2, 3])
+    await waitFor(() => server.connections[0].frames.length === 4)
+    assert.deepEqual(server.connections[0].frames.slice(2), [
+      { type: 'unsubscribe', channel: 'account_all/1' },
+      { type: 'subscribe', channel: 'account_all/3' }
+    ])
+  })
+})
+
+test('isSubscribed waits for the server to answer the subscription', async () => {
+  await withStream({}, async ({ server, stream, updates }) => {
+    stream.sync([7])
+    stream.start()
+    await waitFor(() => server.connections[0]?.frames.length === 1)
+    assert.equal(stream.isConnected(), true)
+    assert.equal(stream.isSubscribed(7), false)
+
+    server.connections[0].send(accountMessage(7, 'subscribed/account_all'))
+    await waitFor(() => stream.isSubscribed(7))
+    assert.equal(updates[0].accountIndex, 7)
+
+    // сообщения по чужим аккаунтам не подтверждают подписку и не доходят до обработчика
+    server.connections[0].send(accountMessage(8))
+    server.connections[0].send(accountMessage(7))
+    await waitFor(() => updates.length === 2)
+    assert.deepEqual(updates.map(update => update.accountIndex), [7, 7])
+    assert.equal(stream.isSubscribed(8), false)
+  })
+})
+
+test('answers ping with pong', async () => {
+  await withStream({}, async ({ server, stream }) => {
+    stream.start()
+    await waitFor(() => server.connections.length === 1 && server.connections[0].readyState === 1)
+    server.connections[0].send(JSON.stringify({ type: 'ping' }))
+    await waitFor(() => server.connections[0].frames.length === 1)
+    assert.deepEqual(server.connections[0].frames, [{ type: 'pong' }])
+  })
+})
+
+test('falls back to polling on disconnect and resubscribes after reconnect', async () => {
+  await withStream({}, async ({ server, stream, statuses }) => {
+    stream.sync([5])
+    stream.start()
+    await waitFor(() => server.connections[0]?.frames.length === 1)
+    server.connections[0].send(accountMessage(5, 'subscribed/account_all'))
+    await waitFor(() => stream.isSubscribed(5))
+
+    server.connections[0].terminate()
+    await waitFor(() => !stream.isConnected())
+    assert.equal(stream.isSubscribed(5), false)
+
+    await waitFor(() => server.connections[1]?.frames.length === 1)
+    assert.deepEqual(server.connections[1].frames, [{ type: 'subscribe', channel: 'account_all/5' }])
+    // до ответа нового соединения кошелек по-прежнему опрашивается
+    assert.equal(stream.isSubscribed(5), false)
+    server.connections[1].send(accountMessage(5))
+    await waitFor(() => stream.isSubscribed(5))
+
+    assert.deepEqual(statuses, [true, false, true])
+  })
+})
+
+test('reconnects when the server goes idle', async () => {
+  await withStream({ idleTimeout: 50 }, async ({ server, stream, statuses }) => {
+    stream.start()
+    await waitFor(() => server.connections.length === 2)
+    assert.deepEqual(statuses.slice(0, 2), [true, false])
+  })
+})
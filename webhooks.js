@@ -0,0 +1,197 @@
+const crypto = require('crypto')
+const dns = require('dns')
+const net = require('net')
+const https = require('https')
+
+// Исходящие вебхуки: POST JSON-события на URL пользователя.
+// Тело подписывается HMAC-SHA256 секретом вебхука:
+//   X-Lighter-Signature: sha256=hex(hmac(secret, `${timestamp}.${body}`))
+// Неудачные доставки повторяются с экспоненциальной задержкой, каждая попытка пишется в журнал.
+//
+// Вебхуки задают пользователи бота, поэтому доставляем только по https и только на публичные адреса:
+// адрес хоста проверяется в момент соединения (после DNS), чтобы нельзя было достучаться
+// до localhost, внутренней сети или metadata-сервиса облака.
+// allowPrivateTargets (WEBHOOK_ALLOW_PRIVATE=1 в боте) снимает эти ограничения — для локального
+// приемника при разработке и в тестах.
+
+// Адреса, на которые вебхуки не отправляем
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'], // CGNAT
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'], // link-local, в том числе 169.254.169.254
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'], // multicast и зарезервированные
+  ['::', 96, 'ipv6'], // ::, ::1 и IPv4-compatible вида ::7f00:1 (::127.0.0.1)
+  ['64:ff9b::', 96, 'ipv6'], // NAT64
+  ['fc00::', 7, 'ipv6'], // unique local, в том числе fd00:ec2::254
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+]
+const blockedAddresses = new net.BlockList()
+BLOCKED_SUBNETS.forEach(([address, prefix, type]) => blockedAddresses.addSubnet(address, prefix, type))
+
+function isPublicAddress(address) {
+  const type = net.isIP(address)
+  if (type === 0) return false
+  // ::ffff:127.0.0.1 — IPv4 внутри IPv6
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address)
+  if (mapped) return isPublicAddress(mapped[1])
+  return !blockedAddresses.check(address, type === 4 ? 'ipv4' : 'ipv6')
+}
+
+class RefusedTargetError extends Error {
+  constructor(message) {
+    super(message)
+    this.code = 'EWEBHOOKREFUSED'
+  }
+}
+
+// Проверка URL при добавлении и перед каждой доставкой; null — можно отправлять
+function checkWebhookUrl(input, { allowPrivateTargets = false } = {}) {
+  let url
+  try {
+    url = new URL(input)
+  } catch {
+    return 'Invalid URL'
+  }
+  if (url.username || url.password) return 'Credentials in the URL are not allowed'
+  if (allowPrivateTargets) return url.protocol === 'https:' || url.protocol === 'http:' ? null : 'Only http(s) URLs are allowed'
+  if (url.protocol !== 'https:') return 'Only https URLs are allowed'
+  const host = url.hostname.replace(/^\[|\]$/g, '')
+  if (host === 'localhost' || host.endsWith('.localhost')) return 'Destination is not allowed'
+  if (net.isIP(host) && !isPublicAddress(host)) return 'Destination is not allowed'
+  return null
+}
+
+// DNS для соединений вебхуков: отказываем, если имя указывает на непубличный адрес.
+// Соединение идет ровно на проверенный адрес, так что повторный резолв (DNS rebinding) не поможет
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error)
+    const entries = Array.isArray(address) ? address : [{ address, family }]
+    if (entries.some(entry => !isPublicAddress(entry.address))) {
+      return callback(new RefusedTargetError('Destination is not allowed'))
+    }
+    callback(null, address, family)
+  })
+}
+
+function createWebhookDispatcher({
+  storage,
+  fetch,
+  maxAttempts = 5,
+  retryDelay = 2000,
+  maxRetryDelay = 60000,
+  timeout = 10000,
+  allowPrivateTargets = false
+}) {
+  const timers = new Set()
+  // без ограничений агент по умолчанию: node-fetch сам выберет http или https
+  const agent = allowPrivateTargets ? undefined : new https.Agent({ lookup: publicLookup })
+  let stopped = false
+
+  function generateSecret() {
+    return crypto.randomBytes(32).toString('hex')
+  }
+
+  function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+  }
+
+  // Повторяем сетевые ошибки, 5xx и 429; остальные 4xx — ошибка получателя, повтор не поможет
+  function isRetryable(status) {
+    return status === null || status === 429 || status >= 500
+  }
+
+  async function attempt(webhook, delivery, body) {
+    delivery.attempts++
+    const timestamp = Math.floor(Date.now() / 1000)
+    let responseStatus = null
+
+    try {
+      const problem = checkWebhookUrl(webhook.url, { allowPrivateTargets })
+      if (problem) throw new RefusedTargetError(problem)
+
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        body,
+        timeout,
+        agent,
+        redirect: 'manual',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'lighter-wallet-bot',
+          'X-Lighter-Event': delivery.eventType,
+          'X-Lighter-Delivery': delivery.id,
+          'X-Lighter-Timestamp': String(timestamp),
+          'X-Lighter-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+        }
+      })
+      responseStatus = response.status
+      if (response.ok) {
+        storage.saveDelivery({ ...delivery, status: 'delivered', responseStatus, error: null })
+        return
+      }
+      throw new Error(`HTTP ${response.status}`)
+    } catch (error) {
+      // отклоненный адрес не повторяем и подробностей о нем не сохраняем
+      if (error.code === 'EWEBHOOKREFUSED') {
+        storage.saveDelivery({ ...delivery, status: 'refused', responseStatus: null, error: 'Destination is not allowed' })
+        return
+      }
+      const retry = !stopped && delivery.attempts < maxAttempts && isRetryable(responseStatus)
+      storage.saveDelivery({ ...delivery, status: retry ? 'retrying' : 'failed', responseStatus, error: error.message })
+      if (!retry) return
+
+      const delay = Math.min(retryDelay * 2 ** (delivery.attempts - 1), maxRetryDelay)
+      const timer = setTimeout(() => {
+        timers.delete(timer)
+        // вебхук успели удалить — дальше не пытаемся
+        if (!storage.listWebhooks(webhook.userId).some(hook => hook.id === webhook.id)) return
+        attempt(webhook, delivery, body).catch(err => console.error('⚠️ Webhook delivery error:', err.message))
+      }, delay)
+      timers.add(timer)
+    }
+  }
+
+  // event: { type, ... } — type попадает в заголовок X-Lighter-Event
+  function deliver(webhook, event) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      webhookId: webhook.id,
+      eventType: event.type,
+      status: 'pending',
+      attempts: 0,
+      createdAt: Date.now()
+    }
+    const body = JSON.stringify({ id: delivery.id, createdAt: new Date(delivery.createdAt).toISOString(), ...event })
+    storage.saveDelivery(delivery)
+    attempt(webhook, delivery, body).catch(err => console.error('⚠️ Webhook delivery error:', err.message))
+    return delivery.id
+  }
+
+  return {
+    generateSecret,
+    sign,
+    deliver,
+
+    // Событие всем вебхукам пользователя
+    dispatch(userId, event) {
+      if (stopped) return []
+      return storage.listWebhooks(userId).map(webhook => deliver(webhook, event))
+    },
+
+    stop() {
+      stopped = true
+      timers.forEach(timer => clearTimeout(timer))
+      timers.clear()
+    }
+  }
+}
+
+module.exports = { createWebhookDispatcher, checkWebhookUrl, isPublicAddress }